@@ -0,0 +1,122 @@
+// core/buttonTtl.js — inline keyboard expiry (flows.buttonTtlSeconds)
+// Every callback keyboard the bot sends is tracked by chat+message id with its issue time.
+// A sweeper strips expired keyboards and marks the message; late callbacks are refused.
+'use strict';
+
+const path = require('path');
+const { readJsonSafeSync, writeJsonAtomicSync, ensureDirSync } = require('../services/persistDisk');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+const KEYBOARDS_FILE = path.join(DATA_DIR, 'keyboards.json');
+
+const SWEEP_EVERY_MS = 30 * 1000;
+const MAX_TEXT = 4000;
+
+// "chatId:messageId" -> { chatId, messageId, kind, issuedAt, expiresAt, text, isCaption }
+const tracked = new Map();
+const key = (chatId, messageId) => `${chatId}:${messageId}`;
+
+let sweeper = null;
+let telegramRef = null;
+let expiredLabel = () => '⏳ Expired';
+
+(function load() {
+  const doc = readJsonSafeSync(KEYBOARDS_FILE, { keyboards: [] });
+  for (const k of (Array.isArray(doc.keyboards) ? doc.keyboards : [])) {
+    if (k && k.chatId != null && k.messageId != null) tracked.set(key(k.chatId, k.messageId), k);
+  }
+})();
+
+function save() {
+  try {
+    writeJsonAtomicSync(KEYBOARDS_FILE, { keyboards: [...tracked.values()] });
+  } catch (e) {
+    console.error('buttonTtl save error:', e.message);
+  }
+}
+
+/**
+ * Track a sent message that carries a callback keyboard.
+ * @param {Object} msg Telegram Message returned by sendMessage/sendPhoto/reply
+ * @param {{kind?:string, ttlSec:number}} opts ttlSec <= 0 → never expires (not tracked)
+ */
+function track(msg, { kind = '', ttlSec } = {}) {
+  const chatId = msg?.chat?.id;
+  const messageId = msg?.message_id;
+  const ttl = Number(ttlSec);
+  if (chatId == null || messageId == null || !(ttl > 0)) return null;
+
+  const issuedAt = Date.now();
+  const isCaption = typeof msg.caption === 'string';
+  const entry = {
+    chatId,
+    messageId,
+    kind: String(kind || ''),
+    issuedAt,
+    expiresAt: issuedAt + ttl * 1000,
+    text: String((isCaption ? msg.caption : msg.text) || '').slice(0, MAX_TEXT),
+    isCaption
+  };
+  tracked.set(key(chatId, messageId), entry);
+  save();
+  return entry;
+}
+
+// Keyboard was consumed/replaced by a handler — stop tracking it
+function release(chatId, messageId) {
+  if (tracked.delete(key(chatId, messageId))) save();
+}
+
+function isExpired(chatId, messageId) {
+  const e = tracked.get(key(chatId, messageId));
+  if (!e) return false;
+  return Date.now() > e.expiresAt;
+}
+
+async function expire(e) {
+  const telegram = telegramRef;
+  tracked.delete(key(e.chatId, e.messageId));
+  if (!telegram) return;
+  const label = expiredLabel();
+  const marked = e.text ? `${e.text}\n\n${label}`.slice(0, e.isCaption ? 1024 : 4096) : label;
+  try {
+    if (e.isCaption) await telegram.editMessageCaption(e.chatId, e.messageId, undefined, marked);
+    else await telegram.editMessageText(e.chatId, e.messageId, undefined, marked);
+  } catch {
+    // message gone or not editable — at least try to drop the buttons
+    await telegram.editMessageReplyMarkup(e.chatId, e.messageId, undefined, { inline_keyboard: [] }).catch(()=>{});
+  }
+}
+
+async function expireNow(chatId, messageId) {
+  const e = tracked.get(key(chatId, messageId));
+  if (!e) return;
+  await expire(e);
+  save();
+}
+
+async function sweep() {
+  const due = [...tracked.values()].filter(e => Date.now() > e.expiresAt);
+  if (!due.length) return 0;
+  for (const e of due) {
+    // eslint-disable-next-line no-await-in-loop
+    await expire(e);
+  }
+  save();
+  return due.length;
+}
+
+/**
+ * Start the sweeper. labelFn returns the "expired" marker appended to messages.
+ */
+function start(telegram, { labelFn, everyMs = SWEEP_EVERY_MS } = {}) {
+  telegramRef = telegram;
+  if (typeof labelFn === 'function') expiredLabel = labelFn;
+  if (sweeper) clearInterval(sweeper);
+  sweeper = setInterval(() => { sweep().catch(e => console.error('buttonTtl sweep error:', e.message)); }, everyMs);
+  if (sweeper.unref) sweeper.unref();
+  return sweep();
+}
+
+module.exports = { track, release, isExpired, expireNow, sweep, start };
@@ -0,0 +1,40 @@
+// core/geo.js — offline distance from the pickup hub (features.geo)
+// Straight-line haversine km × roadFactor approximates the road distance the website quotes.
+'use strict';
+
+const EARTH_RADIUS_KM = 6371;
+
+const rad = (deg) => (deg * Math.PI) / 180;
+
+function haversineKm(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function hasCoords(p) {
+  return !!p && p.lat != null && p.lng != null && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng));
+}
+
+/**
+ * @param {{lat:number,lng:number}} point
+ * @param {{hubLat?:number, hubLng?:number, roadFactor?:number}} geo features.geo
+ * @returns {{straight_km:number, road_km:number}|null} null when hub or point is unknown
+ */
+function distanceFromHub(point, geo = {}) {
+  const hub = { lat: Number(geo.hubLat), lng: Number(geo.hubLng) };
+  if (!hasCoords(point) || !(hub.lat || hub.lng)) return null;
+  const straight = haversineKm(hub, { lat: Number(point.lat), lng: Number(point.lng) });
+  const factor = Number(geo.roadFactor) > 0 ? Number(geo.roadFactor) : 1;
+  return {
+    straight_km: Math.round(straight * 10) / 10,
+    road_km: Math.round(straight * factor * 10) / 10
+  };
+}
+
+function mapsUrl(point) {
+  return hasCoords(point) ? `https://www.google.com/maps?q=${Number(point.lat)},${Number(point.lng)}` : '';
+}
+
+module.exports = { haversineKm, hasCoords, distanceFromHub, mapsUrl };
@@ -0,0 +1,56 @@
+// core/imageHash.js — perceptual hash of a receipt screenshot (dHash, 64 bit)
+// Re-encoded, resized or recompressed copies of the same screenshot land within a few bits
+// of each other; different receipts are typically 20+ bits apart.
+'use strict';
+
+const jpeg = require('jpeg-js');
+
+const W = 9;
+const H = 8;
+
+// Area-average the decoded RGBA image down to W×H grayscale
+function shrinkGray({ width, height, data }) {
+  const out = new Float64Array(W * H);
+  for (let gy = 0; gy < H; gy++) {
+    const y0 = Math.floor((gy * height) / H);
+    const y1 = Math.max(y0 + 1, Math.floor(((gy + 1) * height) / H));
+    for (let gx = 0; gx < W; gx++) {
+      const x0 = Math.floor((gx * width) / W);
+      const x1 = Math.max(x0 + 1, Math.floor(((gx + 1) * width) / W));
+      let sum = 0;
+      let count = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          count++;
+        }
+      }
+      out[gy * W + gx] = count ? sum / count : 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {Buffer} buf JPEG bytes (Telegram photos are always JPEG)
+ * @returns {string} 16 hex chars
+ */
+function dHash(buf) {
+  const img = jpeg.decode(buf, { useTArray: true, maxResolutionInMP: 50 });
+  const g = shrinkGray(img);
+  let bits = '';
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W - 1; x++) bits += g[y * W + x] > g[y * W + x + 1] ? '1' : '0';
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (x) { n += Number(x & 1n); x >>= 1n; }
+  return n;
+}
+
+module.exports = { dHash, hammingDistance };
@@ -0,0 +1,116 @@
+// core/invoice.js — tax invoice for orders with a TIN: line items, discount, delivery and VAT
+// Pure: index.js gathers the order data, services/invoices.js hands out the number.
+// Rendered as a standalone HTML file (prints to A4 from any browser).
+'use strict';
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+function money(n) {
+  return round2(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Totals for an invoice. With pricesIncludeVat (the default, shop prices are VAT-inclusive) the VAT is
+ * carved out of the total; otherwise it is added on top.
+ * @param {Object} o
+ * @param {string} o.number invoice number
+ * @param {string} o.ref order ref
+ * @param {string} o.issuedAt ISO date
+ * @param {{name?:string, tin?:string, address?:string, phone?:string}} o.seller
+ * @param {{name?:string, tin:string, phone?:string, address?:string}} o.buyer
+ * @param {Array<{name:string, qty:number, unit_price:number}>} o.lines
+ * @param {number} [o.discount]
+ * @param {number} [o.delivery]
+ * @param {{vatPct?:number, pricesIncludeVat?:boolean}} [o.tax]
+ */
+function buildInvoice({ number, ref, issuedAt, seller = {}, buyer = {}, lines = [], discount = 0, delivery = 0, tax = {} }) {
+  const items = lines.map(l => {
+    const qty = Number(l.qty) || 1;
+    const unit = round2(l.unit_price);
+    return { name: String(l.name || 'Item'), qty, unit_price: unit, amount: round2(qty * unit) };
+  });
+  const subtotal = round2(items.reduce((n, it) => n + it.amount, 0));
+  const gross = round2(subtotal - (Number(discount) || 0) + (Number(delivery) || 0));
+  const pct = Number(tax.vatPct) || 0;
+
+  let net, vat, total;
+  if (tax.pricesIncludeVat !== false) {
+    total = gross;
+    net = round2(gross / (1 + pct / 100));
+    vat = round2(total - net);
+  } else {
+    net = gross;
+    vat = round2(gross * pct / 100);
+    total = round2(net + vat);
+  }
+
+  return {
+    number: String(number || ''),
+    ref: String(ref || ''),
+    issued_at: issuedAt || new Date().toISOString(),
+    seller,
+    buyer,
+    items,
+    subtotal,
+    discount: round2(discount),
+    delivery: round2(delivery),
+    vat_pct: pct,
+    prices_include_vat: tax.pricesIncludeVat !== false,
+    net,
+    vat,
+    total,
+  };
+}
+
+function renderHtml(inv) {
+  const row = (label, value, strong = false) =>
+    `<tr class="sum${strong ? ' total' : ''}"><td colspan="3">${esc(label)}</td><td>${value}</td></tr>`;
+  const party = (p, title) => `
+    <div class="party"><h3>${esc(title)}</h3>
+      ${p.name ? `<div>${esc(p.name)}</div>` : ''}
+      ${p.tin ? `<div>TIN: ${esc(p.tin)}</div>` : ''}
+      ${p.address ? `<div>${esc(p.address)}</div>` : ''}
+      ${p.phone ? `<div>${esc(p.phone)}</div>` : ''}
+    </div>`;
+
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>Invoice ${esc(inv.number)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 760px; margin: 24px auto; padding: 0 16px; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  .meta { color: #555; margin-bottom: 20px; }
+  .parties { display: flex; gap: 32px; margin-bottom: 20px; }
+  .party h3 { margin: 0 0 4px; font-size: 13px; text-transform: uppercase; color: #777; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  th:nth-child(n+2), td:nth-child(n+2) { text-align: right; }
+  tr.sum td { border-bottom: none; text-align: right; }
+  tr.total td { font-weight: bold; border-top: 2px solid #222; }
+  .note { margin-top: 16px; color: #777; font-size: 12px; }
+</style></head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div class="meta">No. ${esc(inv.number)} · Order ${esc(inv.ref)} · ${esc(String(inv.issued_at).slice(0, 10))}</div>
+  <div class="parties">${party(inv.seller, 'Seller')}${party(inv.buyer, 'Buyer')}</div>
+  <table>
+    <thead><tr><th>Item</th><th>Qty</th><th>Unit price (ETB)</th><th>Amount (ETB)</th></tr></thead>
+    <tbody>
+      ${inv.items.map(it => `<tr><td>${esc(it.name)}</td><td>${it.qty}</td><td>${money(it.unit_price)}</td><td>${money(it.amount)}</td></tr>`).join('\n      ')}
+      ${row('Subtotal', money(inv.subtotal))}
+      ${inv.discount ? row('Discount', `-${money(inv.discount)}`) : ''}
+      ${inv.delivery ? row('Delivery', money(inv.delivery)) : ''}
+      ${row('Taxable amount (excl. VAT)', money(inv.net))}
+      ${row(`VAT ${inv.vat_pct}%`, money(inv.vat))}
+      ${row('Total (ETB)', money(inv.total), true)}
+    </tbody>
+  </table>
+  <div class="note">${inv.prices_include_vat ? 'Prices include VAT.' : 'VAT added to listed prices.'}</div>
+</body></html>
+`;
+}
+
+module.exports = { buildInvoice, renderHtml };
@@ -0,0 +1,141 @@
+// core/maintenance.js — maintenance mode: manual on/off + scheduled windows + queued customers
+// Manual mode and one-off windows ("22:00-23:30" in time.timezone) block new order intake.
+// Customers who wrote in while it was active are queued and get a follow-up when it ends.
+'use strict';
+
+const path = require('path');
+const { DateTime } = require('luxon');
+const { readJsonSafeSync, writeJsonAtomicSync, ensureDirSync } = require('../services/persistDisk');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+const MAINT_FILE = path.join(DATA_DIR, 'maintenance.json');
+
+const TICK_MS = 30 * 1000;
+
+// { on, note, windows:[{start,end,note}], queue:{ uid: queuedAtMs } }
+let state = { on: false, note: '', windows: [], queue: {} };
+let wasActive = false;
+let ticker = null;
+
+(function load() {
+  const doc = readJsonSafeSync(MAINT_FILE, null);
+  if (!doc) return;
+  state = {
+    on: !!doc.on,
+    note: String(doc.note || ''),
+    windows: Array.isArray(doc.windows) ? doc.windows.filter(w => w && Number(w.end) > Date.now()) : [],
+    queue: doc.queue && typeof doc.queue === 'object' ? doc.queue : {}
+  };
+})();
+
+function save() {
+  try { writeJsonAtomicSync(MAINT_FILE, state); }
+  catch (e) { console.error('maintenance save error:', e.message); }
+}
+
+/**
+ * Current status.
+ * @returns {{active:boolean, note:string, until:number|null, manual:boolean}}
+ */
+function status(nowMs = Date.now()) {
+  if (state.on) return { active: true, note: state.note, until: null, manual: true };
+  const w = state.windows.find(x => nowMs >= Number(x.start) && nowMs < Number(x.end));
+  if (w) return { active: true, note: String(w.note || ''), until: Number(w.end), manual: false };
+  return { active: false, note: '', until: null, manual: false };
+}
+
+function setManual(on, note = '') {
+  state.on = !!on;
+  state.note = on ? String(note || '') : '';
+  if (!on) {
+    // "off" also ends a window that is running right now
+    const nowMs = Date.now();
+    state.windows = state.windows.filter(w => !(nowMs >= Number(w.start) && nowMs < Number(w.end)));
+  }
+  save();
+}
+
+/**
+ * Parse "HH:MM-HH:MM" as the next occurrence in tz (crossing midnight allowed).
+ * A window that is already running today starts immediately.
+ * @returns {{start:number,end:number}|null}
+ */
+function parseWindowSpec(spec, tz, nowMs = Date.now()) {
+  const m = String(spec || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const [h1, m1, h2, m2] = m.slice(1).map(Number);
+  if (h1 > 23 || h2 > 23 || m1 > 59 || m2 > 59) return null;
+
+  const base = DateTime.fromMillis(nowMs, { zone: tz });
+  if (!base.isValid) return null;
+  let start = base.set({ hour: h1, minute: m1, second: 0, millisecond: 0 });
+  let end = base.set({ hour: h2, minute: m2, second: 0, millisecond: 0 });
+  if (end <= start) end = end.plus({ days: 1 });
+  if (end.toMillis() <= nowMs) { start = start.plus({ days: 1 }); end = end.plus({ days: 1 }); }
+  return { start: start.toMillis(), end: end.toMillis() };
+}
+
+function addWindow(start, end, note = '') {
+  state.windows.push({ start: Number(start), end: Number(end), note: String(note || '') });
+  state.windows.sort((a, b) => a.start - b.start);
+  save();
+}
+
+function clearWindows() {
+  state.windows = [];
+  save();
+}
+
+function listWindows() {
+  return state.windows.filter(w => Number(w.end) > Date.now()).map(w => ({ ...w }));
+}
+
+function enqueue(uid) {
+  if (uid == null) return;
+  if (!state.queue[uid]) { state.queue[uid] = Date.now(); save(); }
+}
+
+function drainQueue() {
+  const uids = Object.keys(state.queue).map(Number).filter(Number.isFinite);
+  state.queue = {};
+  save();
+  return uids;
+}
+
+/**
+ * Watch for the active → inactive edge (window end or manual off) and hand the queued
+ * customers to onEnd(uids). Call once at boot.
+ */
+function startTicker(onEnd, everyMs = TICK_MS) {
+  wasActive = status().active;
+  if (ticker) clearInterval(ticker);
+  const tick = async () => {
+    const active = status().active;
+    if (wasActive && !active) {
+      state.windows = state.windows.filter(w => Number(w.end) > Date.now());
+      const uids = drainQueue();
+      if (uids.length && typeof onEnd === 'function') {
+        try { await onEnd(uids); } catch (e) { console.error('maintenance onEnd error:', e.message); }
+      }
+    }
+    wasActive = active;
+  };
+  ticker = setInterval(() => { tick(); }, everyMs);
+  if (ticker.unref) ticker.unref();
+  // boot after downtime: a window may have ended while we were offline
+  if (!wasActive && Object.keys(state.queue).length) { wasActive = true; tick(); }
+  return tick;
+}
+
+module.exports = {
+  status,
+  setManual,
+  parseWindowSpec,
+  addWindow,
+  clearWindows,
+  listWindows,
+  enqueue,
+  drainQueue,
+  startTicker
+};
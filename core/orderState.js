@@ -0,0 +1,115 @@
+// core/orderState.js — order status machine (legal transitions + history)
+'use strict';
+
+const STATES = [
+  'AWAITING_PAYMENT',
+  'AWAITING_RECEIPT',
+  'AWAITING_REVIEW',
+  'PARTIALLY_PAID',
+  'APPROVED_HOLD',
+  'REJECTED_HOLD',
+  'REJECTED',
+  'DISPATCHING',
+  'ASSIGNED',
+  'OUT_FOR_DELIVERY',
+  'DELIVERED',
+  'ABANDONED',
+  'CANCELLED',
+  'SUPERSEDED'
+];
+
+// from -> allowed targets. Same-state moves are no-ops and never recorded.
+const TRANSITIONS = {
+  // CANCELLED = customer /cancel, allowed until the order is dispatched
+  AWAITING_PAYMENT: ['AWAITING_RECEIPT', 'ABANDONED', 'CANCELLED', 'SUPERSEDED'],      // abandoned = lapsed after payment reminders
+  AWAITING_RECEIPT: ['AWAITING_REVIEW', 'PARTIALLY_PAID', 'APPROVED_HOLD', 'REJECTED_HOLD', 'ABANDONED', 'CANCELLED', 'SUPERSEDED'], // approve/reject here = re-review after undo
+  AWAITING_REVIEW:  ['PARTIALLY_PAID', 'APPROVED_HOLD', 'REJECTED_HOLD', 'SUPERSEDED'],  // no cancel while a receipt is checked
+  PARTIALLY_PAID:   ['AWAITING_RECEIPT', 'APPROVED_HOLD', 'CANCELLED', 'SUPERSEDED'],    // customer pays the balance | owner override
+  APPROVED_HOLD:    ['DISPATCHING', 'AWAITING_RECEIPT', 'CANCELLED'],                    // finalize | undo
+  REJECTED_HOLD:    ['REJECTED', 'AWAITING_RECEIPT'],                                    // finalize | undo
+  REJECTED:         ['AWAITING_RECEIPT', 'SUPERSEDED'],                                  // customer resubmits a receipt
+  DISPATCHING:      ['ASSIGNED', 'SUPERSEDED'],
+  ASSIGNED:         ['OUT_FOR_DELIVERY', 'DELIVERED', 'DISPATCHING'],                    // picked | done | give up / unassign / undo accept
+  OUT_FOR_DELIVERY: ['DELIVERED', 'ASSIGNED', 'DISPATCHING'],                            // done | undo picked | unassign
+  DELIVERED:        ['OUT_FOR_DELIVERY'],                                                // undo delivered
+  ABANDONED:        [],
+  CANCELLED:        [],
+  SUPERSEDED:       []
+};
+
+const HISTORY_MAX = 100;
+const listeners = [];
+
+function isState(x) {
+  return STATES.includes(x);
+}
+
+function canTransition(from, to) {
+  if (!isState(to)) return false;
+  if (from === to) return true;
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function record(s, from, to, { actor, reason, force }) {
+  const entry = {
+    from: from || null,
+    to,
+    at: new Date().toISOString(),
+    actor: String(actor || 'system'),
+    reason: String(reason || '')
+  };
+  if (force) entry.forced = true;
+
+  if (!Array.isArray(s.history)) s.history = [];
+  s.history.push(entry);
+  if (s.history.length > HISTORY_MAX) s.history.splice(0, s.history.length - HISTORY_MAX);
+
+  for (const fn of listeners) {
+    try { fn(s, entry); } catch (e) { console.error('orderState listener error:', e.message); }
+  }
+  return entry;
+}
+
+// Start a fresh order at AWAITING_PAYMENT
+function init(s, { actor = 'system', reason = 'intake' } = {}) {
+  s.status = 'AWAITING_PAYMENT';
+  s.history = [];
+  return record(s, null, s.status, { actor, reason });
+}
+
+/**
+ * Move a session to a new status.
+ * force=true is reserved for owner overrides (/revert, /forceapprove); it is still recorded.
+ * @returns {{ok:boolean, changed?:boolean, from:string, to:string, entry?:Object, error?:string}}
+ */
+function transition(s, to, { actor = 'system', reason = '', force = false } = {}) {
+  if (!s) return { ok: false, from: null, to, error: 'no_session' };
+  const from = s.status || null;
+
+  if (!isState(to)) return { ok: false, from, to, error: 'unknown_state' };
+  if (from === to) return { ok: true, changed: false, from, to };
+
+  if (!force && !canTransition(from, to)) {
+    console.warn(`orderState: illegal ${from} -> ${to} for ${s.ref || 'ref'} (${actor}${reason ? `, ${reason}` : ''})`);
+    return { ok: false, from, to, error: 'illegal_transition' };
+  }
+
+  s.status = to;
+  const entry = record(s, from, to, { actor, reason, force });
+  return { ok: true, changed: true, from, to, entry };
+}
+
+// Listener gets (session, entry) after every recorded transition
+function onTransition(fn) {
+  if (typeof fn === 'function') listeners.push(fn);
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  isState,
+  canTransition,
+  init,
+  transition,
+  onTransition
+};
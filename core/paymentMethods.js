@@ -0,0 +1,81 @@
+// core/paymentMethods.js — payment method registry (features.payments.methods)
+// A new bank or wallet is a config entry, not a code change:
+//
+//   { "id": "awash", "label": "Awash Bank", "instructions": "🏦 Awash … Amount: ETB {TOTAL}",
+//     "copyLabel": "Copy Account Number", "copyValue": "0132…", "enabled": true,
+//     "minEtb": 0, "maxEtb": 0, "receiptRequired": true }
+//
+// instructions is a template ({TOTAL}, {REF}); instructionsKey points into messages.json instead.
+// minEtb / maxEtb of 0 mean no limit. receiptRequired:false (cash on delivery) sends the order
+// straight to staff review without a receipt.
+'use strict';
+
+// Used when features.json has no payments section (the two methods the bot launched with)
+const DEFAULT_METHODS = [
+  { id: 'telebirr', label: 'Telebirr', instructionsKey: 'customer.payment_info_telebirr', copyLabel: 'Copy Merchant ID', copyValue: '86555' },
+  { id: 'bank', label: 'CBE Bank', instructionsKey: 'customer.payment_info_cbe', copyLabel: 'Copy Account Number', copyValue: '1000387118806' },
+];
+
+let methods = [];
+// id -> instructions text set with /setpay (in-memory until features.json is edited)
+const overrides = new Map();
+
+function normalize(m) {
+  const id = String(m?.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9_]{1,24}$/.test(id)) return null;
+  return {
+    id,
+    label: String(m.label || id),
+    instructions: String(m.instructions || ''),
+    instructionsKey: String(m.instructionsKey || ''),
+    copyLabel: String(m.copyLabel || ''),
+    copyValue: String(m.copyValue || ''),
+    enabled: m.enabled !== false,
+    minEtb: Number(m.minEtb) || 0,
+    maxEtb: Number(m.maxEtb) || 0,
+    receiptRequired: m.receiptRequired !== false,
+  };
+}
+
+function configure(list) {
+  const src = Array.isArray(list) && list.length ? list : DEFAULT_METHODS;
+  const seen = new Set();
+  methods = src.map(normalize).filter(m => m && !seen.has(m.id) && seen.add(m.id));
+}
+
+function all() { return methods.map(m => ({ ...m })); }
+
+function byId(id) {
+  const m = methods.find(x => x.id === String(id || '').toLowerCase());
+  return m ? { ...m } : null;
+}
+
+// Enabled methods whose min/max allow this amount (unknown amount = no limit check)
+function availableFor(amount) {
+  const a = Number(amount) || 0;
+  return methods
+    .filter(m => m.enabled)
+    .filter(m => !a || ((!m.minEtb || a >= m.minEtb) && (!m.maxEtb || a <= m.maxEtb)))
+    .map(m => ({ ...m }));
+}
+
+/**
+ * Instruction text for a method with {VARS} filled in.
+ * @param {Object} m method
+ * @param {Object} vars e.g. { TOTAL, REF }
+ * @param {(key:string)=>string|undefined} lookup messages.json getter for instructionsKey
+ */
+function instructionsFor(m, vars = {}, lookup = () => undefined) {
+  const tpl = overrides.get(m.id) || m.instructions || (m.instructionsKey && lookup(m.instructionsKey)) || m.label;
+  return String(tpl).replace(/\{([A-Z0-9_]+)\}/g, (_, k) => (k in vars ? String(vars[k]) : `{${k}}`));
+}
+
+function setInstructions(id, text) {
+  if (!byId(id)) return false;
+  overrides.set(String(id).toLowerCase(), String(text || ''));
+  return true;
+}
+
+configure(DEFAULT_METHODS);
+
+module.exports = { configure, all, byId, availableFor, instructionsFor, setInstructions };
@@ -0,0 +1,107 @@
+// core/paymentReminders.js — nudges for orders stuck before payment (AWAITING_PAYMENT / AWAITING_RECEIPT)
+// features.reminders: { enabled, delaysMinutes: [20, 60], lapseAfterMinutes: 120 }
+// Delays count from when the order entered its current step; one nudge per delay. After the last
+// nudge, lapseAfterMinutes more without progress and the order lapses (abandoned).
+// Bookkeeping lives on the session (s.reminder) so it survives restarts with the session file.
+// AWAITING_RECEIPT also covers re-review after an undo, a resubmitted receipt and a partly paid order
+// paying its balance; once money or a receipt has come in the order is left to staff.
+'use strict';
+
+const STALL_STATES = new Set(['AWAITING_PAYMENT', 'AWAITING_RECEIPT']);
+const TICK_MS = 60 * 1000;
+const MIN = 60 * 1000;
+
+let ticker = null;
+
+// Money recorded, or a receipt (or no-receipt method) already went to staff for this order
+function paymentInFlight(s) {
+  return Number(s?.amountPaid) > 0 || !!s?.submittedAt || !!(s?.receiptFileId || s?.receiptText);
+}
+
+// When the order entered its current status (last recorded transition), else session creation
+function stepSince(s) {
+  const h = Array.isArray(s?.history) ? s.history : [];
+  for (let i = h.length - 1; i >= 0; i--) {
+    if (h[i] && h[i].to === s.status) {
+      const at = Date.parse(h[i].at);
+      if (Number.isFinite(at)) return at;
+      break;
+    }
+  }
+  return Number(s?.createdAt) || 0;
+}
+
+// Reminder state for the current step (reset whenever the order moved)
+function stateFor(s) {
+  const since = stepSince(s);
+  const r = s.reminder;
+  if (r && r.step === s.status && r.since === since) return r;
+  return { step: s.status, since, sent: 0, lastAt: null };
+}
+
+/**
+ * What the ticker should do with this session now.
+ * @param {Object} s session
+ * @param {{enabled?:boolean, delaysMinutes?:number[], lapseAfterMinutes?:number}} cfg
+ * @param {number} nowMs
+ * @returns {{type:'nudge', n:number, last:boolean}|{type:'lapse', sent:number}|null}
+ */
+function nextAction(s, cfg, nowMs = Date.now()) {
+  if (!cfg || !cfg.enabled || !s || !STALL_STATES.has(s.status) || !s._customerId || paymentInFlight(s)) return null;
+  const delays = (Array.isArray(cfg.delaysMinutes) ? cfg.delaysMinutes : []).map(Number).filter(n => n > 0);
+  const r = stateFor(s);
+  if (!r.since) return null;
+
+  if (r.sent < delays.length) {
+    return nowMs - r.since >= delays[r.sent] * MIN ? { type: 'nudge', n: r.sent + 1, last: r.sent + 1 === delays.length } : null;
+  }
+  const lapseMs = Number(cfg.lapseAfterMinutes) * MIN;
+  if (!(lapseMs > 0)) return null;
+  const from = r.lastAt || r.since;
+  return nowMs - from >= lapseMs ? { type: 'lapse', sent: r.sent } : null;
+}
+
+function markNudged(s, nowMs = Date.now()) {
+  const r = stateFor(s);
+  s.reminder = { ...r, sent: r.sent + 1, lastAt: nowMs };
+}
+
+/**
+ * Check every session once a minute; onNudge(s, action) / onLapse(s, action) do the talking.
+ * Call once at boot. Returns the tick function (handy for a manual run).
+ */
+function startTicker({ sessions, config, onNudge, onLapse }, everyMs = TICK_MS) {
+  if (ticker) clearInterval(ticker);
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const cfg = typeof config === 'function' ? config() : config;
+      const nowMs = Date.now();
+      for (const s of sessions()) {
+        const action = nextAction(s, cfg, nowMs);
+        if (!action) continue;
+        try {
+          if (action.type === 'nudge') {
+            // eslint-disable-next-line no-await-in-loop
+            await onNudge(s, action);
+            markNudged(s, nowMs);
+          } else {
+            // eslint-disable-next-line no-await-in-loop
+            await onLapse(s, action);
+          }
+        } catch (e) {
+          console.error(`paymentReminders ${action.type} error for ${s.ref || 'ref'}:`, e.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+  ticker = setInterval(() => { tick(); }, everyMs);
+  if (ticker.unref) ticker.unref();
+  return tick;
+}
+
+module.exports = { STALL_STATES, paymentInFlight, nextAction, markNudged, startTicker };
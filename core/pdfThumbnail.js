@@ -0,0 +1,46 @@
+// core/pdfThumbnail.js — first page of a PDF receipt as a JPEG, rendered locally with pdf.js
+// Staff get a preview photo next to the PDF itself; the same JPEG feeds the receipt dHash.
+'use strict';
+
+const THUMB_WIDTH = 900;
+const MAX_PDF_BYTES = 10 * 1024 * 1024;
+
+let pdfjsPromise = null;
+function loadPdfjs() {
+  // pdf.js ships as ES modules only
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+}
+
+/**
+ * @param {Buffer} buf PDF bytes
+ * @returns {Promise<Buffer>} JPEG of page 1, THUMB_WIDTH px wide
+ */
+async function renderFirstPage(buf) {
+  if (!buf || !buf.length) throw new Error('empty PDF');
+  if (buf.length > MAX_PDF_BYTES) throw new Error('PDF too large for a preview');
+
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buf),
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: 0
+  }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMB_WIDTH / base.width });
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // receipts often have a transparent background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/jpeg', 85);
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = { renderFirstPage };
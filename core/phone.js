@@ -0,0 +1,50 @@
+// core/phone.js — one phone format everywhere: E.164 for storage, grouped for cards
+// Ethiopian by default (09…, 07…, bare 9…/7…, 251…, +251…); UAE (+971 / 00971) also accepted.
+// National forms are only read as Ethiopian when they fit an ET mobile or area prefix; anything else
+// (e.g. a UAE "050…" typed without +971) is left unplaced so it gets flagged rather than misdialled.
+'use strict';
+
+// country code -> national significant number pattern
+const COUNTRIES = {
+  '251': /^[1-9]\d{8}$/,   // Ethiopia: 9 digits (mobile 9…/7…, landline 11…)
+  '971': /^[1-9]\d{7,8}$/, // UAE: 8 digits landline, 9 digits mobile (5…)
+};
+const DEFAULT_CC = '251';
+// Ethiopian national numbers: mobile 9…/7…, landline area codes 11, 22, 25, 33, 34, 46, 47, 57, 58
+const ET_NATIONAL = /^(?:[79]\d|11|22|25|33|34|46|47|57|58)\d{7}$/;
+
+/**
+ * Canonical E.164 ("+251911234567") or '' when the input is not a phone we can place.
+ * @param {string} raw as typed/pasted: spaces, dashes, dots and parentheses are ignored
+ */
+function normalizePhone(raw) {
+  const x = String(raw ?? '').trim();
+  if (!x || /[A-Za-z]/.test(x)) return '';
+  let digits = x.replace(/[^\d]/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+
+  for (const cc of Object.keys(COUNTRIES)) {
+    if (digits.startsWith(cc) && COUNTRIES[cc].test(digits.slice(cc.length))) return `+${cc}${digits.slice(cc.length)}`;
+  }
+  if (x.startsWith('+')) return '';
+
+  // national forms default to Ethiopia
+  const national = digits.startsWith('0') ? digits.slice(1) : digits;
+  if (!digits.startsWith('0') && !/^[79]/.test(national)) return '';
+  return ET_NATIONAL.test(national) ? `+${DEFAULT_CC}${national}` : '';
+}
+
+function isValidPhone(raw) { return !!normalizePhone(raw); }
+
+// "+251 91 123 4567" / "+971 50 123 4567"; anything we can't normalise is returned as given
+function formatPhone(raw) {
+  const e164 = normalizePhone(raw);
+  if (!e164) return String(raw ?? '').trim();
+  const cc = Object.keys(COUNTRIES).find(c => e164.startsWith(`+${c}`));
+  const n = e164.slice(cc.length + 1);
+  const head = n.length === 9 ? n.slice(0, 2) : n.slice(0, 1);
+  const rest = n.slice(head.length);
+  return `+${cc} ${head} ${rest.slice(0, 3)} ${rest.slice(3)}`;
+}
+
+module.exports = { normalizePhone, isValidPhone, formatPhone };
@@ -0,0 +1,98 @@
+// core/reconcile.js — recompute an order's amount from its parsed parts and compare with the pasted total
+// subtotal = Σ unit_price × qty (catalog price when known), discount = subtotal × promo_pct,
+// delivery from the order's zone fee (core/zones.js), else features.pricing (distance based)
+// when configured, else as stated.
+// With map coordinates the distance is our own (core/geo.js) and the pasted one is checked.
+// Staff approve against expected_total.
+'use strict';
+
+const DEFAULT_TOLERANCE_ETB = 1;
+
+const n = (v) => Number(v) || 0;
+
+/**
+ * @param {Object} f parseOrderFields() result
+ * @param {{toleranceEtb?:number, deliveryBaseEtb?:number, deliveryPerKmEtb?:number, deliveryMinEtb?:number}} pricing
+ * @param {{unitPrice?:(item:Object)=>number, distance?:{straight_km:number, road_km:number}|null,
+ *   distanceTolerancePct?:number, zoneFee?:number|null}} [opts] unitPrice: trusted unit price per item
+ *   (0 = use the pasted one); distance: computed from coordinates (null = trust the pasted Distance:);
+ *   zoneFee: fee of the resolved delivery zone (null = no zone)
+ * @returns {{checked:boolean, ok:boolean, items_subtotal:number, discount:number, delivery:number,
+ *   stated_delivery:number, distance_km:number, stated_distance_km:number, stated_total:number,
+ *   expected_total:number, diff:number,
+ *   issues:Array<{code:'line_total'|'distance'|'delivery'|'total'|'unverified', item?:number, stated?:number, expected?:number}>}}
+ */
+function reconcile(f, pricing = {}, opts = {}) {
+  const tol = Number(pricing.toleranceEtb ?? DEFAULT_TOLERANCE_ETB);
+  const items = Array.isArray(f?.items) ? f.items : [];
+  const issues = [];
+
+  // Every item needs a unit price and qty for the subtotal to be trusted
+  let checked = items.length > 0;
+  let subtotal = 0;
+  items.forEach((it, i) => {
+    const trusted = typeof opts.unitPrice === 'function' ? n(opts.unitPrice(it)) : 0;
+    const unit = trusted || n(it.unit_price);
+    const qty = n(it.qty);
+    if (!unit || !qty) { checked = false; return; }
+    const calc = Math.round(unit * qty);
+    const line = n(it.line_total);
+    // a wrong unit price is reported by the catalog check; don't repeat it per line
+    const priceOverridden = trusted && trusted !== n(it.unit_price);
+    if (line && !priceOverridden && Math.abs(line - calc) > tol) issues.push({ code: 'line_total', item: i + 1, stated: line, expected: calc });
+    subtotal += calc;
+  });
+
+  const pct = Math.min(100, Math.max(0, n(f?.promo_pct)));
+  const discount = checked ? Math.round(subtotal * pct / 100) : 0;
+
+  const stated_km = n(f?.distance_km);
+  let km = stated_km;
+  const dist = opts.distance || null;
+  if (dist) {
+    km = dist.road_km;
+    const tolPct = Number(opts.distanceTolerancePct ?? 25);
+    // road distance can't be shorter than the straight line (0.2 km rounding slack)
+    const impossible = stated_km && stated_km + 0.2 < dist.straight_km;
+    if (stated_km && (impossible || Math.abs(stated_km - dist.road_km) > dist.road_km * tolPct / 100)) {
+      issues.push({ code: 'distance', stated: stated_km, expected: dist.road_km });
+    }
+  }
+
+  const stated_delivery = n(f?.delivery);
+  let delivery = stated_delivery;
+  const perKm = n(pricing.deliveryPerKmEtb);
+  if (opts.zoneFee != null) {
+    delivery = n(opts.zoneFee);
+    if (Math.abs(delivery - stated_delivery) > tol) issues.push({ code: 'delivery', stated: stated_delivery, expected: delivery });
+  } else if (perKm > 0 && km > 0) {
+    delivery = Math.max(n(pricing.deliveryMinEtb), Math.round(n(pricing.deliveryBaseEtb) + perKm * km));
+    if (Math.abs(delivery - stated_delivery) > tol) issues.push({ code: 'delivery', stated: stated_delivery, expected: delivery });
+  }
+
+  const stated_total = n(f?.total);
+  let expected_total = stated_total;
+  if (checked) {
+    expected_total = subtotal - discount + delivery;
+    if (Math.abs(expected_total - stated_total) > tol) issues.push({ code: 'total', stated: stated_total, expected: expected_total });
+  } else {
+    issues.push({ code: 'unverified' });
+  }
+
+  return {
+    checked,
+    ok: checked && issues.length === 0,
+    items_subtotal: subtotal,
+    discount,
+    delivery,
+    stated_delivery,
+    distance_km: km,
+    stated_distance_km: stated_km,
+    stated_total,
+    expected_total,
+    diff: stated_total - expected_total,
+    issues
+  };
+}
+
+module.exports = { reconcile };
@@ -3,10 +3,19 @@
 
 const fs   = require('fs');
 const path = require('path');
+const { readJsonSafeSync, writeJsonAtomicSync, ensureDirSync } = require('../services/persistDisk');
 
 const ROOT = path.join(__dirname, '..');
 const FEATURES_FILE = path.join(ROOT, 'features.json');
 
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+// Timer handles can't be serialized; they are re-armed from *DueAt stamps on boot
+const TIMER_KEYS = new Set(['driverTimer', 'approvalTimer', 'rejectTimer']);
+const FLUSH_EVERY_MS = 2000;
+
 function safeReadJSON(file, fallback = {}) {
   try {
     if (!fs.existsSync(file)) return fallback;
@@ -29,6 +38,67 @@ const refs     = new Map(); // ref -> uid
 
 const now = () => Date.now();
 
+// ---------------- disk persistence ----------------
+let lastWritten = '';
+let flushHandle = null;
+
+function snapshot() {
+  const doc = { sessions: [...sessions.entries()], refs: [...refs.entries()] };
+  return JSON.stringify(doc, (k, v) => (TIMER_KEYS.has(k) ? null : v));
+}
+
+// Write only when something changed (sessions are mutated in place all over the bot)
+function persist() {
+  try {
+    const data = snapshot();
+    if (data === lastWritten) return false;
+    writeJsonAtomicSync(SESSIONS_FILE, { saved_at: new Date().toISOString(), ...JSON.parse(data) });
+    lastWritten = data;
+    return true;
+  } catch (e) {
+    console.error('session persist error:', e.message);
+    return false;
+  }
+}
+
+function schedulePersist() {
+  if (flushHandle) return;
+  flushHandle = setTimeout(() => { flushHandle = null; persist(); }, 250);
+  if (flushHandle.unref) flushHandle.unref();
+}
+
+function isTerminal(s) {
+  return ['DELIVERED', 'REJECTED', 'ABANDONED', 'CANCELLED'].includes(s?.status);
+}
+
+(function rehydrate() {
+  const doc = readJsonSafeSync(SESSIONS_FILE, null);
+  if (!doc || !Array.isArray(doc.sessions)) return;
+  const ttlMs = Number(TTL_MINUTES) * 60 * 1000;
+  for (const [uidRaw, s] of doc.sessions) {
+    if (!s || typeof s !== 'object') continue;
+    // finished orders past the TTL are history, not live state
+    if (isTerminal(s) && (!s.createdAt || now() - s.createdAt > ttlMs)) continue;
+    for (const k of TIMER_KEYS) s[k] = null;
+    const uid = Number(uidRaw);
+    sessions.set(uid, s);
+    if (s.ref) refs.set(s.ref, uid);
+  }
+  for (const [ref, uidRaw] of (Array.isArray(doc.refs) ? doc.refs : [])) {
+    const uid = Number(uidRaw);
+    if (sessions.has(uid) && !refs.has(ref)) refs.set(ref, uid);
+  }
+  lastWritten = snapshot();
+  console.log(`Sessions rehydrated: ${sessions.size}`);
+})();
+
+const flushTimer = setInterval(persist, FLUSH_EVERY_MS);
+if (flushTimer.unref) flushTimer.unref();
+
+function allSessions() {
+  return [...sessions.values()];
+}
+
 // ---------------- core API ----------------
 function genRef() {
   let r;
@@ -58,6 +128,7 @@ function setSession(uid, s) {
   if (merged._customerId == null && existing._customerId != null) {
     merged._customerId = existing._customerId;
   }
+  schedulePersist();
 }
 
 function updateSession(uid, mutator) {
@@ -77,14 +148,17 @@ function deleteSession(uid) {
   const s = sessions.get(uid);
   if (s?.ref) refs.delete(s.ref);
   sessions.delete(uid);
+  schedulePersist();
 }
 
 function setRef(ref, uid) {
   refs.set(ref, uid);
+  schedulePersist();
 }
 
 function deleteRef(ref) {
   refs.delete(ref);
+  schedulePersist();
 }
 
 function getSessionByRef(ref) {
@@ -155,6 +229,10 @@ module.exports = {
   consumePendingNewSummary,
   addSupersededRef,
   clearSupersededRefs,
+  // persistence
+  allSessions,
+  persist,
+  schedulePersist,
   // internal util
   _gcExpired
 };
@@ -0,0 +1,64 @@
+// core/smsReceipt.js — pasted Telebirr / CBE confirmation SMS as payment proof
+// Pulls transaction id, amount, date and payee out of the bank's SMS wording. Only texts in a known
+// provider's wording with both a transaction id and an amount count as a receipt; everything else
+// (a customer asking about a reference number, say) is left to the chat flow.
+'use strict';
+
+const PROVIDERS = [
+  { id: 'telebirr', label: 'Telebirr', test: /tele\s*birr|transaction\s+number\s+is/i },
+  { id: 'cbe', label: 'CBE', test: /\bCBE\b|Commercial\s+Bank|\bFT\d{5}[A-Z0-9]{5,}/i },
+];
+
+const TXN_PATTERNS = [
+  /\b(FT\d{5}[A-Z0-9]{5,})\b/i,                                                        // CBE transfer ref
+  /transaction\s*(?:number|no\.?|id)\s*(?:is|:)?\s*([A-Z0-9]{8,14})\b/i,               // Telebirr
+  /\b(?:ref(?:erence)?|txn)\s*(?:no\.?|number|id)?\s*[:#]?\s*([A-Z0-9]{8,20})\b/i,
+];
+
+// Paid amount first; balances are skipped
+const AMOUNT_PATTERNS = [
+  /(?:transferred|paid|debited\s+with|sent|payment\s+of)\s+(?:ETB|Birr|Br)\.?\s*([\d,]+(?:\.\d{1,2})?)/i,
+  /(?:ETB|Birr|Br)\.?\s*([\d,]+(?:\.\d{1,2})?)(?!\S*\s*(?:is\s+)?(?:your\s+)?(?:current\s+)?balance)/i,
+];
+
+const DATE_PATTERNS = [
+  /\b(\d{4}-\d{2}-\d{2}(?:[ T]\d{1,2}:\d{2}(?::\d{2})?)?)/,
+  /\b(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?)/,
+  /\b(\d{1,2}-[A-Za-z]{3}-\d{4}(?:\s+\d{1,2}:\d{2}(?::\d{2})?)?)/,
+];
+
+const PAYEE_PATTERNS = [
+  /\bfrom\s+\d{4,}\s*-\s*(.+?)\s+on\s/i,                       // "purchased from 86555 - Name on …"
+  /\bto\s+(.+?)(?:\s*\([^)]*\)|\s+on\s|\s+account\b|\s+with\b|[.,]\s|$)/i,
+];
+
+function firstMatch(text, patterns) {
+  for (const re of patterns) {
+    const m = text.match(re);
+    if (m && m[1]) return m[1].trim();
+  }
+  return '';
+}
+
+/**
+ * @param {string} text pasted SMS
+ * @returns {{ok:boolean, provider:string, provider_label:string, txn_id:string, amount:number,
+ *   date:string, payee:string}}
+ */
+function parseSmsReceipt(text) {
+  const x = String(text || '').replace(/\s+/g, ' ').trim();
+  const provider = PROVIDERS.find(p => p.test.test(x)) || null;
+  const txn_id = firstMatch(x, TXN_PATTERNS).toUpperCase();
+  const amount = Number(firstMatch(x, AMOUNT_PATTERNS).replace(/,/g, '')) || 0;
+  return {
+    ok: !!(provider && txn_id && amount),
+    provider: provider ? provider.id : '',
+    provider_label: provider ? provider.label : '',
+    txn_id,
+    amount,
+    date: firstMatch(x, DATE_PATTERNS),
+    payee: firstMatch(x, PAYEE_PATTERNS).slice(0, 80),
+  };
+}
+
+module.exports = { parseSmsReceipt };
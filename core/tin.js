@@ -0,0 +1,20 @@
+// core/tin.js — Ethiopian Taxpayer Identification Number (10 digits)
+// Customers paste it with spaces or dashes; we store the bare digits.
+'use strict';
+
+/**
+ * Bare 10-digit TIN, or '' when the input isn't one.
+ * @param {string} raw as typed: spaces, dashes, dots and a "TIN" label are ignored
+ */
+function normalizeTin(raw) {
+  const x = String(raw ?? '').trim().replace(/^tin\s*(?:no\.?|number)?\s*[:#]?\s*/i, '');
+  if (!x || /[A-Za-z]/.test(x)) return '';
+  const digits = x.replace(/[\s.\-/]/g, '');
+  return /^\d{10}$/.test(digits) ? digits : '';
+}
+
+function isValidTin(raw) {
+  return normalizeTin(raw) !== '';
+}
+
+module.exports = { normalizeTin, isValidTin };
@@ -0,0 +1,87 @@
+// core/zones.js — delivery zones (features.zones): which zone an order falls in, its fee and hours
+// A zone matches by polygon (map point inside), sub-city name (in the address text) or distance
+// band from a hub (features.geo hub unless the zone sets hubLat/hubLng). First match in list order wins.
+//
+//   { "name": "Bole", "fee": 150, "hours": "08:00-20:00", "subcities": ["Bole"] }
+//   { "name": "Inner ring", "fee": 100, "maxKm": 5 }
+//   { "name": "CMC", "fee": 200, "polygon": [[9.02, 38.84], [9.03, 38.87], [9.00, 38.88]] }
+'use strict';
+
+const { DateTime } = require('luxon');
+const Geo = require('./geo');
+
+function escapeRe(s) { return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// Ray casting over [lat, lng] vertices
+function insidePolygon(point, polygon) {
+  if (!Array.isArray(polygon) || polygon.length < 3) return false;
+  const x = Number(point.lng);
+  const y = Number(point.lat);
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const yi = Number(polygon[i][0]), xi = Number(polygon[i][1]);
+    const yj = Number(polygon[j][0]), xj = Number(polygon[j][1]);
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function matchesSubcity(text, names) {
+  if (!text || !Array.isArray(names)) return false;
+  return names.some(n => n && new RegExp(`(^|[^\\p{L}])${escapeRe(String(n).trim())}([^\\p{L}]|$)`, 'iu').test(text));
+}
+
+function inBand(point, zone, geo) {
+  const hub = zone.hubLat != null ? { ...geo, hubLat: zone.hubLat, hubLng: zone.hubLng } : geo;
+  const d = Geo.distanceFromHub(point, hub);
+  if (!d) return false;
+  return d.road_km >= (Number(zone.minKm) || 0) && d.road_km <= Number(zone.maxKm);
+}
+
+// "HH:MM-HH:MM" in tz (may cross midnight); empty = always open
+function isOpen(hours, tz, nowMs = Date.now()) {
+  const m = String(hours || '').match(/^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/);
+  if (!m) return true;
+  const local = DateTime.fromMillis(nowMs, { zone: tz || 'Africa/Addis_Ababa' });
+  const cur = local.hour * 60 + local.minute;
+  const from = Number(m[1]) * 60 + Number(m[2]);
+  const to = Number(m[3]) * 60 + Number(m[4]);
+  return from <= to ? (cur >= from && cur < to) : (cur >= from || cur < to);
+}
+
+function enabledZones(zones) {
+  return zones && zones.enabled && Array.isArray(zones.list) ? zones.list.filter(z => z && z.name) : [];
+}
+
+/**
+ * @param {{point?:{lat:number,lng:number}|null, text?:string}} where map point and/or address text
+ * @param {{enabled?:boolean, list?:Array<Object>}} zones features.zones
+ * @param {{geo?:Object, timezone?:string, nowMs?:number}} [opts]
+ * @returns {null|{status:'in'|'out'|'unknown', name:string, fee:number|null, hours:string, open:boolean,
+ *   method:'polygon'|'subcity'|'band'|null}} null when zones are off; 'out' only when the point is known
+ */
+function resolveZone({ point = null, text = '' } = {}, zones, { geo = {}, timezone, nowMs } = {}) {
+  const list = enabledZones(zones);
+  if (!list.length) return null;
+  const havePoint = Geo.hasCoords(point);
+
+  for (const z of list) {
+    let method = null;
+    if (havePoint && z.polygon && insidePolygon(point, z.polygon)) method = 'polygon';
+    else if (z.subcities && matchesSubcity(text, z.subcities)) method = 'subcity';
+    else if (havePoint && z.maxKm != null && inBand(point, z, geo)) method = 'band';
+    if (!method) continue;
+    const hours = String(z.hours || '');
+    return {
+      status: 'in',
+      name: String(z.name),
+      fee: z.fee != null && Number.isFinite(Number(z.fee)) ? Math.round(Number(z.fee)) : null,
+      hours,
+      open: isOpen(hours, timezone, nowMs),
+      method
+    };
+  }
+  return { status: havePoint ? 'out' : 'unknown', name: '', fee: null, hours: '', open: true, method: null };
+}
+
+module.exports = { resolveZone, insidePolygon, isOpen };
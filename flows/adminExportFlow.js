@@ -1,4 +1,4 @@
-// flows/adminExportFlow.js — /export orders & /clear_and_export_orders
+// flows/adminExportFlow.js — /export orders|items & /clear_and_export_orders
 // EMMA PRO MAX — FINAL
 'use strict';
 
@@ -73,18 +73,18 @@ module.exports = function wireAdminExportFlow(bot, deps) {
   bot.command('export', async (ctx) => {
     try {
       const text = String(ctx.message?.text || '');
-      const arg = text.split(/\s+/)[1] || '';
-      if (arg.toLowerCase() !== 'orders') return ctx.reply('Usage: /export orders');
+      const arg = (text.split(/\s+/)[1] || '').toLowerCase();
+      if (arg !== 'orders' && arg !== 'items') return ctx.reply('Usage: /export orders | /export items');
       if (!allowed(ctx)) return ctx.reply('Not allowed.');
 
       await ctx.reply('Preparing CSV…');
-      const csv = await store.exportAllCSV();
+      const csv = arg === 'items' ? await store.exportLineItemsCSV() : await store.exportAllCSV();
       const lineCount = (csv.match(/\n/g) || []).length + 1;
       if (lineCount <= 1) return ctx.reply('No rows found to export.');
 
-      await sendCsv(ctx, 'orders', csv);
+      await sendCsv(ctx, arg === 'items' ? 'order_items' : 'orders', csv);
     } catch (e) {
-      console.error('[exportFlow] /export orders error:', e);
+      console.error('[exportFlow] /export error:', e);
       await ctx.reply('Export failed.');
     }
   });
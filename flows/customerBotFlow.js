@@ -12,17 +12,42 @@ module.exports = function wireCustomerFlow(bot, deps) {
     getSupportGroupId,
     getStaffGroupId,
 
-    BUTTON_TTL_SEC, // not used here but kept for parity
+    BUTTON_TTL_SEC,
     ALLOW_NEW_ORDER,
+    Buttons,
+    Maintenance,
 
     isLikelyQuestion,
     isOrderSummaryStrict,
+    scoreOrderSummary,
     parseOrderFields,
     extractRef,
+    extractSignedOrder,
+    summaryForDisplay,
+    diffOrderFields,
+    reconcileFields,
+    balanceOf,
+    distanceFor,
+    zoneFor,
+    itemsLine,
+    Catalog,
+    Payments,
+    IntakeLog,
+    ReceiptIndex,
+    dHash,
+    renderPdfThumbnail,
+    parseSmsReceipt,
+    normalizeTin,
+    sendTaxInvoice,
+    captureIntake,
+    canApprove,
+    store,
+    ensureCanonRef,
 
     t, get,
 
     Session,
+    OrderState,
 
     afterCutoff,
 
@@ -55,9 +80,13 @@ module.exports = function wireCustomerFlow(bot, deps) {
   const DUP_FLAG         = !!(FEATURES?.flags?.flagDuplicateReceipts ?? true);
   const FWD_FLAG         = !!(FEATURES?.flags?.flagForwardedReceipts ?? true);
   const TIN_ENABLED      = !!(FEATURES?.flows?.tinEnabled ?? true);
+  const TIN_MAX_TRIES    = 3;
   const NOTIFY_SUPERSEDE = !!(FEATURES?.flags?.notifySupersede ?? true);
 
-  const seenReceiptIds = new Set();
+  const RECEIPT_IMAGE_MIME = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic']);
+  const MAX_RECEIPT_FILE_BYTES = 10 * 1024 * 1024;
+  const FILE_DOWNLOAD_TIMEOUT_MS = 15 * 1000; // hash/preview are extras; a slow download mustn't hold up the receipt
+
   const userRate = new Map();
   const now = () => Date.now();
 
@@ -72,6 +101,101 @@ module.exports = function wireCustomerFlow(bot, deps) {
     return !!(FEATURES?.support?.enabled && supportId());
   }
 
+  // Inline keyboard expiry (see core/buttonTtl.js)
+  function trackKb(msg, kind) {
+    if (Buttons) Buttons.track(msg, { kind, ttlSec: BUTTON_TTL_SEC });
+    return msg;
+  }
+  function releaseKb(ctx) {
+    const m = ctx.callbackQuery?.message;
+    if (Buttons && m) Buttons.release(m.chat.id, m.message_id);
+  }
+
+  // Signed website orders: staff see the readable summary plus whether the signature held
+  function displaySummary(text) {
+    return summaryForDisplay ? summaryForDisplay(text || '') : String(text || '');
+  }
+  function reconFlags(recon) {
+    return recon.issues.map((i) => {
+      if (i.code === 'total') return t('staff.recon_total_mismatch', { STATED: i.stated, EXPECTED: i.expected });
+      if (i.code === 'line_total') return t('staff.recon_line_mismatch', { N: i.item, STATED: i.stated, EXPECTED: i.expected });
+      if (i.code === 'delivery') return t('staff.recon_delivery_mismatch', { STATED: i.stated, EXPECTED: i.expected });
+      if (i.code === 'distance') return t('staff.recon_distance_mismatch', { STATED: i.stated, EXPECTED: i.expected });
+      return get(MSG,'staff.recon_unverified') || 'ℹ️ Total not verifiable (item prices missing)';
+    });
+  }
+  // Zone problems only; an in-zone order that is open right now needs no flag
+  function zoneFlags(zone) {
+    if (!zone) return [];
+    if (zone.status === 'out') return [get(MSG,'staff.zone_out') || '⚠️ Outside every delivery zone'];
+    if (zone.status === 'unknown') return [get(MSG,'staff.zone_unknown') || 'ℹ️ Delivery zone unknown (no map point or sub-city)'];
+    if (!zone.open) return [t('staff.zone_closed', { ZONE: zone.name, HOURS: zone.hours })];
+    return [];
+  }
+  function catalogFlags(issues) {
+    return issues.map((i) => {
+      if (i.code === 'price') return t('staff.catalog_price_mismatch', { N: i.item, NAME: i.name, STATED: i.stated, EXPECTED: i.expected });
+      if (i.code === 'inactive') return t('staff.catalog_inactive', { N: i.item, NAME: i.name });
+      return t('staff.catalog_unknown', { N: i.item, NAME: i.name || '?' });
+    });
+  }
+  async function downloadFile(fileId) {
+    const link = await bot.telegram.getFileLink(fileId);
+    const res = await fetch(link.href, { signal: AbortSignal.timeout(FILE_DOWNLOAD_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return Buffer.from(await res.arrayBuffer());
+  }
+  // Perceptual hash of a ~320px rendition (small download, enough detail); null when unavailable
+  async function photoHash(sizes) {
+    if (!dHash || !Array.isArray(sizes) || !sizes.length) return null;
+    const pick = sizes.find(p => p.width >= 320) || sizes.at(-1);
+    try {
+      return dHash(await downloadFile(pick.file_id));
+    } catch (e) {
+      console.warn('receipt hash error:', e.message);
+      return null;
+    }
+  }
+  // Receipt sent as a file: JPEGs are hashed as is; PDFs get a page-1 preview that is also hashed
+  async function documentReceiptExtras(doc, isPdf) {
+    const out = { phash: null, preview: null };
+    const wantHash = DUP_FLAG && dHash;
+    const isJpeg = /^image\/jpe?g$/.test(String(doc.mime_type || '').toLowerCase());
+    if (!(isPdf && renderPdfThumbnail) && !(wantHash && isJpeg)) return out;
+    if (Number(doc.file_size) > MAX_RECEIPT_FILE_BYTES) return out;
+    try {
+      const buf = await downloadFile(doc.file_id);
+      if (isPdf) out.preview = await renderPdfThumbnail(buf);
+      if (wantHash) out.phash = dHash(out.preview || buf);
+    } catch (e) {
+      console.warn('receipt file error:', e.message);
+    }
+    return out;
+  }
+  function fmtSeenAt(iso) {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: FEATURES?.time?.timezone || 'Africa/Addis_Ababa',
+      day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+    }).format(new Date(iso));
+  }
+  // Reuse of a receipt first seen on another order (same or different customer)
+  function duplicateFlags(found, s, uid) {
+    if (!found || found.entry.ref === s.ref) return [];
+    const e = found.entry;
+    const vars = { REF: e.ref || '—', CUSTOMER: e.customer || `id ${e.uid}`, WHEN: fmtSeenAt(e.at) };
+    const flags = [t(found.match === 'exact' ? 'staff.receipt_dup_exact' : 'staff.receipt_dup_similar', vars)];
+    if (e.uid != null && e.uid !== uid) flags.push(get(MSG,'staff.receipt_dup_other_customer') || '⚠️ Receipt belongs to a DIFFERENT customer');
+    return flags;
+  }
+
+  function signatureNote(text) {
+    if (!extractSignedOrder) return '';
+    const r = extractSignedOrder(text || '');
+    if (r.ok) return (get(MSG,'staff.order_signed') || '🔏 Signed website order') + '\n';
+    if (r.reason === 'bad_signature') return (get(MSG,'staff.order_signature_invalid') || '⚠️ Order block signature did NOT verify — details below are from the text only') + '\n';
+    return '';
+  }
+
   // ───────────────────────────────────────────────────────────────────────────
   // UI helpers
 
@@ -93,18 +217,83 @@ module.exports = function wireCustomerFlow(bot, deps) {
     ]);
   }
 
+  // One button per enabled method (core/paymentMethods.js) whose limits allow the order total, two per row
+  function payKeyboard(ref, total) {
+    const buttons = Payments.availableFor(total).map(m => Markup.button.callback(m.label, `pay:${m.id}:${ref}`));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+    return rows.length ? Markup.inlineKeyboard(rows) : null;
+  }
+
+  // Methods are offered for the amount staff will approve against, not the pasted total
   async function sendSummaryWithPay(ctx, summary, ref) {
-    const kb = Markup.inlineKeyboard([
-      [
-        Markup.button.callback(get(MSG,'buttons.payment_telebirr') || 'Telebirr', `pay:telebirr:${ref}`),
-        Markup.button.callback(get(MSG,'buttons.payment_cbe')      || 'CBE Bank', `pay:bank:${ref}`)
-      ]
-    ]);
+    const kb = payKeyboard(ref, Math.max(0, balanceOf(Session.getSessionByRef(ref))));
+    if (!kb) return ctx.reply(t('customer.no_payment_method', { REF: ref, SUPPORT_PHONE: SUPPORT_PHONE || '' }));
     const welcomeKey = afterCutoff() ? 'customer.welcome_after_cutoff' : 'customer.welcome';
-    await ctx.reply(t(welcomeKey, { REF: ref }), kb);
+    let welcome = t(welcomeKey, { REF: ref });
+    const zone = zoneFor ? zoneFor(parseOrderFields(summary || ''), null) : null;
+    if (zone && zone.status === 'in' && !zone.open) welcome += `\n\n${t('customer.zone_closed_note', { ZONE: zone.name, HOURS: zone.hours })}`;
+    trackKb(await ctx.reply(welcome, kb), 'pay');
+  }
+
+  // Maintenance: new intake is blocked (note shown, customer queued for a follow-up when it ends).
+  // In-flight orders (receipts, staff and driver actions) keep working.
+  async function replyMaintenance(ctx) {
+    const st = Maintenance.status();
+    Maintenance.enqueue(ctx.from.id);
+    const lines = [get(MSG,'customer.maintenance_on') || 'We’re doing maintenance right now. Please try again later.'];
+    if (st.note) lines.push(st.note);
+    if (st.until) {
+      const until = new Intl.DateTimeFormat('en-GB', {
+        timeZone: FEATURES?.time?.timezone || 'Africa/Addis_Ababa', hour: '2-digit', minute: '2-digit', hour12: false
+      }).format(new Date(st.until));
+      lines.push(t('customer.maintenance_until', { UNTIL: until }));
+    }
+    return ctx.reply(lines.join('\n'));
+  }
+
+  // New order session from a summary (pasted text or deep link). If one is already active,
+  // park the summary and ask whether to clear the previous order.
+  async function startOrderSession(ctx, text, { reason = 'intake' } = {}) {
+    const uid = ctx.from.id;
+    const zone = zoneFor ? zoneFor(parseOrderFields(text), null) : null;
+    if (zone && zone.status === 'out') return handOffOutOfZone(ctx, text);
+
+    const s = Session.getSession(uid);
+
+    if (s) {
+      if (!ALLOW_NEW_ORDER) {
+        return ctx.reply(t('customer.order_in_progress_note', { REF: s.ref, SUPPORT_PHONE: SUPPORT_PHONE || '' }));
+      }
+      s.pendingNewSummary = text;
+      s.pendingNewSummaryMsgId = reason === 'deeplink' ? null : (ctx.message?.message_id ?? null);
+      return trackKb(await ctx.reply(t('customer.clear_previous_q', { REF: s.ref }) || 'Clear previous order?', clearAskKeyboard(s.ref)), 'clearprev');
+    }
+
+    const ref = Session.genRef();
+    const sNew = {
+      ref,
+      summary: text,
+      status: null,
+      method: null,
+      assigned_driver_id: null,
+      driverTimer: null,
+      approvalTimer: null,
+      holdMsgId: null,
+      giveupUntil: null,
+      createdAt: now(),
+      _customerId: uid,
+      // pasted summary message — customer edits to it re-parse the order
+      summaryMsgId: reason === 'deeplink' ? null : (ctx.message?.message_id ?? null)
+    };
+    OrderState.init(sNew, { actor: `customer:${uid}`, reason });
+    Session.setSession(uid, sNew);
+    Session.setRef(ref, uid);
+    return sendSummaryWithPay(ctx, text, ref);
   }
 
-  async function escalateToSupport(ctx, rawText) {
+  // ack: false when the caller already told the customer what happens next
+  async function escalateToSupport(ctx, rawText, { note = '', ack = true } = {}) {
     if (!supportEnabled()) {
       return ctx.reply(t('customer.invalid_intake', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
     }
@@ -112,19 +301,28 @@ module.exports = function wireCustomerFlow(bot, deps) {
     const kb = Markup.inlineKeyboard([
       [Markup.button.callback(get(MSG,'buttons.support_claim') || 'I’ll handle', `support_claim:${user.id}`)]
     ]);
-    await bot.telegram.sendMessage(
+    const post = await bot.telegram.sendMessage(
       supportId(),
       t('support.escalation_post', {
         CUSTOMER_NAME: `${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Customer',
         USERNAME: user.username ? '@' + user.username : 'no_username',
         USER_ID: user.id,
-        MESSAGE: (rawText || '').slice(0, 1000)
+        MESSAGE: `${note ? note + '\n\n' : ''}${rawText || ''}`.slice(0, 1000)
       }),
       kb
     );
+    trackKb(post, 'support_claim');
+    if (!ack) return;
     return ctx.reply(t('support.customer_claim_dm', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
   }
 
+  // Delivery point outside every zone (features.zones): no payment buttons, support takes over
+  async function handOffOutOfZone(ctx, text, ref = '') {
+    await ctx.reply(t('customer.out_of_zone', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
+    if (!supportEnabled()) return;
+    return escalateToSupport(ctx, text, { note: t('support.out_of_zone_note', { REF: ref || '—' }), ack: false });
+  }
+
   // ───────────────────────────────────────────────────────────────────────────
   // TEXT (customer DM)
 
@@ -138,14 +336,25 @@ module.exports = function wireCustomerFlow(bot, deps) {
     }
 
     const text = (ctx.message.text || '').trim();
-    let s = Session.getSession(uid);
+    const s = Session.getSession(uid);
 
-    // Expecting TIN text after user pressed "Yes"
+    // Expecting TIN text after user pressed "Yes" (10 digits; a few retries, then we drop it)
     if (s && s.awaitingTinExpectText === true) {
-      const tin = text.slice(0, 128);
+      const tin = normalizeTin ? normalizeTin(text) : text.slice(0, 128);
+      if (!tin) {
+        s.tinTries = (s.tinTries || 0) + 1;
+        if (s.tinTries < TIN_MAX_TRIES) return ctx.reply(get(MSG,'customer.tin_retry') || 'That doesn’t look like a TIN. Please send your TIN number.');
+        s.awaitingTinExpectText = false;
+        s.awaitingTin = false;
+        return ctx.reply(get(MSG,'customer.tin_skip') || 'No TIN used for this order.');
+      }
       s.tin = tin;
+      s.tinTries = 0;
       s.awaitingTinExpectText = false;
       s.awaitingTin = false;
+      if (store) {
+        await store.saveTin(ensureCanonRef ? ensureCanonRef(s) : s.ref, tin).catch(e => console.warn('saveTin error:', e.message));
+      }
 
       await ctx.reply(get(MSG,'customer.tin_saved') || 'TIN saved.');
       const sid = staffId();
@@ -153,50 +362,33 @@ module.exports = function wireCustomerFlow(bot, deps) {
         const prefix = get(MSG,'staff.tin_prefix') || 'TIN:';
         await bot.telegram.sendMessage(sid, `${prefix} ${tin}\nRef: ${s.ref}`).catch(()=>{});
       }
+      // Already approved: the invoice goes out now instead of at approval
+      if (sendTaxInvoice) await sendTaxInvoice(s);
       return;
     }
 
     const isQ = isLikelyQuestion(text);
-    const looksLikeOrder = isOrderSummaryStrict(text, {
-      strictMode: !!STRICT_MODE,
-      minTextLength: MIN_TEXT_LEN
-    });
+    const intakeOpts = { strictMode: !!STRICT_MODE, minTextLength: MIN_TEXT_LEN };
+    const verdict = scoreOrderSummary ? scoreOrderSummary(text, intakeOpts) : null;
+    const looksLikeOrder = verdict ? verdict.accepted : isOrderSummaryStrict(text, intakeOpts);
+
+    if ((!s || looksLikeOrder) && Maintenance?.status().active) return replyMaintenance(ctx);
 
     // No session yet
-    if (!s) {
-      if (!looksLikeOrder) {
-        if (isQ && ESCALATE_ON_Q) return escalateToSupport(ctx, text);
-        return ctx.reply(t('customer.invalid_intake', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
-      }
-      const ref = Session.genRef();
-      s = {
-        ref,
-        summary: text,
-        status: 'AWAITING_PAYMENT',
-        method: null,
-        assigned_driver_id: null,
-        driverTimer: null,
-        approvalTimer: null,
-        holdMsgId: null,
-        giveupUntil: null,
-        createdAt: now(),
-        _customerId: uid
-      };
-      Session.setSession(uid, s);
-      Session.setRef(ref, uid);
-      return sendSummaryWithPay(ctx, text, ref);
-    }
-
-    // Existing session present
-    if (looksLikeOrder) {
-      if (!ALLOW_NEW_ORDER) {
-        return ctx.reply(t('customer.order_in_progress_note', { REF: s.ref, SUPPORT_PHONE: SUPPORT_PHONE || '' }));
+    if (!s && !looksLikeOrder) {
+      if (IntakeLog && verdict) {
+        IntakeLog.logRejection(verdict, { question: isQ }).catch(e => console.warn('intake log error:', e.message));
       }
-      s.pendingNewSummary = text;
-      return ctx.reply(t('customer.clear_previous_q', { REF: s.ref }) || 'Clear previous order?', clearAskKeyboard(s.ref));
+      if (isQ && ESCALATE_ON_Q) return escalateToSupport(ctx, text);
+      return ctx.reply(t('customer.invalid_intake', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
     }
 
+    // New order (or a new summary while one is active)
+    if (looksLikeOrder) return startOrderSession(ctx, text);
+
     if (s.status === 'AWAITING_RECEIPT') {
+      const sms = parseSmsReceipt ? parseSmsReceipt(text) : null;
+      if (sms && sms.ok) return handleSmsReceipt(ctx, s, text, sms);
       return ctx.reply(get(MSG,'customer.awaiting_receipt_text') || 'Send receipt photo.');
     }
 
@@ -210,15 +402,213 @@ module.exports = function wireCustomerFlow(bot, deps) {
   });
 
   // ───────────────────────────────────────────────────────────────────────────
-  // PHOTO (receipt)
-  // ✅ Accept receipt photo BOTH when:
+  // EDITS (customer edits the pasted summary)
+  // Before approval the order is re-parsed in place and staff get the diff.
+  // From APPROVED_HOLD on, the edit becomes a change request staff must accept.
+  const EDITABLE_STATES = new Set([null, 'AWAITING_PAYMENT', 'AWAITING_RECEIPT', 'AWAITING_REVIEW']);
+  const CHANGE_STATES   = new Set(['APPROVED_HOLD', 'DISPATCHING', 'ASSIGNED', 'OUT_FOR_DELIVERY']);
+
+  function diffLines(diff) {
+    return diff.map(d => `• ${d.field}: ${d.from || '—'} → ${d.to || '—'}`).join('\n');
+  }
+
+  // Swap in the edited summary and refresh everything derived from it
+  async function applySummary(s, text, msgId) {
+    s.summary = text;
+    if (msgId != null) s.summaryMsgId = msgId;
+    if (s.expectedTotal != null && reconcileFields) s.expectedTotal = reconcileFields(parseOrderFields(text), s).expected_total;
+    Session.schedulePersist();
+    if (captureIntake) {
+      await captureIntake(text, { chat: { id: s._customerId }, message: { text } }, s._canonRef || '')
+        .catch(e => console.warn('edit intake error:', e.message));
+    }
+  }
+
+  bot.on('edited_message', async (ctx, next) => {
+    const msg = ctx.editedMessage;
+    if (ctx.chat?.type !== 'private' || !msg?.text) return next && next();
+
+    const s = Session.getSession(ctx.from.id);
+    if (!s || s.summaryMsgId == null || s.summaryMsgId !== msg.message_id) return next && next();
+
+    const text = msg.text.trim();
+    if (!isOrderSummaryStrict(text, { strictMode: !!STRICT_MODE, minTextLength: MIN_TEXT_LEN })) {
+      return ctx.reply(t('customer.edit_not_order', { REF: s.ref }));
+    }
+
+    const before = parseOrderFields(s.summary || '');
+    const after = parseOrderFields(text);
+    if (before.ref && after.ref && before.ref !== after.ref) {
+      return ctx.reply(t('customer.edit_ref_changed', { REF: s.ref }));
+    }
+    const diff = diffOrderFields(before, after);
+    if (!diff.length) return;
+
+    const sid = staffId();
+    if (EDITABLE_STATES.has(s.status ?? null)) {
+      await applySummary(s, text, msg.message_id);
+      await ctx.reply(t('customer.edit_applied', { REF: s.ref }));
+      if (sid && s.status) {
+        const amount = s.expectedTotal != null ? `\n${t('staff.approve_amount_line', { AMOUNT: s.expectedTotal })}` : '';
+        await bot.telegram.sendMessage(sid, `${t('staff.order_edited', { REF: s.ref })}\n${diffLines(diff)}${amount}`).catch(()=>{});
+      }
+      return;
+    }
+
+    if (!CHANGE_STATES.has(s.status)) return ctx.reply(t('customer.edit_closed', { REF: s.ref }));
+    if (!sid) return ctx.reply(t('customer.edit_closed', { REF: s.ref }));
+
+    s.pendingChange = { text, msgId: msg.message_id, at: now(), diff };
+    Session.schedulePersist();
+    const kb = Markup.inlineKeyboard([[
+      Markup.button.callback(get(MSG,'buttons.change_accept') || 'Accept change ✅', `chg_ok:${s.ref}`),
+      Markup.button.callback(get(MSG,'buttons.change_decline') || 'Decline ❌', `chg_no:${s.ref}`)
+    ]]);
+    trackKb(await bot.telegram.sendMessage(sid, `${t('staff.change_request', { REF: s.ref, STATUS: s.status })}\n${diffLines(diff)}`, kb), 'change');
+    return ctx.reply(t('customer.edit_change_requested', { REF: s.ref }));
+  });
+
+  bot.on('callback_query', async (ctx, next) => {
+    const data = String(ctx.callbackQuery?.data || '');
+    if (!data.startsWith('chg_ok:') && !data.startsWith('chg_no:')) return next && next();
+    if (!canApprove || !(await canApprove(ctx))) return ctx.answerCbQuery('Not authorized.');
+
+    const ref = data.split(':')[1];
+    const s = Session.getSessionByRef(ref);
+    // Delivered / dropped since the request: nothing left to change
+    if (!s || !CHANGE_STATES.has(s.status)) {
+      if (s?.pendingChange) {
+        delete s.pendingChange;
+        Session.schedulePersist();
+      }
+      await ctx.editMessageReplyMarkup(undefined).catch(()=>{});
+      releaseKb(ctx);
+      return ctx.answerCbQuery('Order already closed.');
+    }
+    const change = s.pendingChange;
+    if (!change) return ctx.answerCbQuery('No pending change.');
+    delete s.pendingChange;
+
+    const who = ctx.from.username ? '@' + ctx.from.username : (ctx.from.first_name || `id ${ctx.from.id}`);
+    const accepted = data.startsWith('chg_ok:');
+    const base = ctx.callbackQuery.message?.text || '';
+    const mark = accepted ? t('staff.change_accepted_by', { WHO: who }) : t('staff.change_declined_by', { WHO: who });
+    await ctx.editMessageText(`${base}\n\n${mark}`).catch(()=>{});
+    releaseKb(ctx);
+
+    if (!accepted) {
+      Session.schedulePersist();
+      if (s._customerId) await bot.telegram.sendMessage(s._customerId, t('customer.change_declined', { REF: s.ref, SUPPORT_PHONE: SUPPORT_PHONE || '' })).catch(()=>{});
+      return ctx.answerCbQuery('Declined.');
+    }
+
+    await applySummary(s, change.text, change.msgId);
+    if (s._customerId) await bot.telegram.sendMessage(s._customerId, t('customer.change_accepted', { REF: s.ref })).catch(()=>{});
+    if (s.assigned_driver_id) {
+      await bot.telegram.sendMessage(s.assigned_driver_id, `${t('driver.order_changed', { REF: s.ref })}\n${diffLines(change.diff)}`).catch(()=>{});
+    }
+    return ctx.answerCbQuery('Change accepted.');
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // LOCATION (customer shares a Telegram pin for the delivery point; wins over the map link)
+  const CLOSED_STATES = new Set(['DELIVERED', 'REJECTED', 'SUPERSEDED']);
+
+  bot.on('location', async (ctx, next) => {
+    if (ctx.chat?.type !== 'private') return next && next();
+    const s = Session.getSession(ctx.from.id);
+    if (!s || CLOSED_STATES.has(s.status)) return next && next();
+
+    const { latitude: lat, longitude: lng } = ctx.message.location;
+    s.location = { lat, lng, source: 'telegram', at: now() };
+    const f = parseOrderFields(s.summary || '');
+    if (s.expectedTotal != null && reconcileFields) s.expectedTotal = reconcileFields(f, s).expected_total;
+    Session.schedulePersist();
+
+    const dist = distanceFor ? distanceFor(f, s) : null;
+    const zone = zoneFor ? zoneFor(f, s) : null;
+    if (store) {
+      const orderId = ensureCanonRef ? ensureCanonRef(s) : s.ref;
+      await store.saveOrderLocation(orderId, {
+        lat, lng, source: 'telegram',
+        distance_km: dist ? dist.road_km : null,
+        delivery_zone: zone && zone.status === 'in' ? zone.name : null
+      }).catch(e => console.warn('saveOrderLocation error:', e.message));
+    }
+
+    if (zone && zone.status === 'out') {
+      // Not paid for yet: drop the order. Otherwise hold it — no payments, receipts or approval
+      // until support sorts it out (an in-zone pin clears the hold).
+      if (s.status === 'AWAITING_PAYMENT') {
+        OrderState.transition(s, 'SUPERSEDED', { actor: `customer:${ctx.from.id}`, reason: 'out_of_zone' });
+        Session.deleteRef(s.ref);
+        Session.deleteSession(ctx.from.id);
+      } else {
+        s.outOfZone = true;
+        Session.schedulePersist();
+      }
+      await handOffOutOfZone(ctx, s.summary || '', s.ref);
+      const sid = staffId();
+      if (sid) await bot.telegram.sendMessage(sid, t('staff.zone_out_order', { REF: s.ref })).catch(()=>{});
+      return;
+    }
+    if (s.outOfZone) {
+      s.outOfZone = false;
+      Session.schedulePersist();
+    }
+
+    await ctx.reply(dist
+      ? t('customer.location_saved_km', { REF: s.ref, KM: dist.road_km })
+      : t('customer.location_saved', { REF: s.ref }));
+
+    const sid = staffId();
+    if (sid && s.status && s.status !== 'AWAITING_PAYMENT' && s.status !== 'AWAITING_RECEIPT') {
+      await bot.telegram.sendMessage(sid, t('staff.location_shared', { REF: s.ref, KM: dist ? dist.road_km : '—' })).catch(()=>{});
+      await bot.telegram.sendLocation(sid, lat, lng).catch(()=>{});
+    }
+    if (s.assigned_driver_id) {
+      await bot.telegram.sendMessage(s.assigned_driver_id, t('driver.location_updated', { REF: s.ref })).catch(()=>{});
+      await bot.telegram.sendLocation(s.assigned_driver_id, lat, lng).catch(()=>{});
+    }
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // PHOTO / DOCUMENT (receipt)
+  // ✅ Accept a receipt BOTH when:
   // - AWAITING_RECEIPT (normal)
   // - AWAITING_REVIEW  (updated/clearer receipt, resend to staff)
-  // This fixes your "send clear screenshot" issue.
+  // Files (uncompressed images, Telebirr PDFs) go through the same checks as photos.
 
   bot.on('photo', async (ctx) => {
     if (ctx.chat?.type !== 'private') return;
+    const sizes = ctx.message.photo;
+    const best = sizes.at(-1);
+    return acceptFileReceipt(ctx, {
+      kind: 'photo',
+      fileId: best.file_id,
+      fileUniqueId: best.file_unique_id,
+      extras: async () => ({ phash: DUP_FLAG ? await photoHash(sizes) : null, preview: null })
+    });
+  });
+
+  bot.on('document', async (ctx, next) => {
+    if (ctx.chat?.type !== 'private') return next && next();
+    const doc = ctx.message.document;
+    const mime = String(doc.mime_type || '').toLowerCase();
+    const isPdf = mime === 'application/pdf';
+    if (!isPdf && !RECEIPT_IMAGE_MIME.has(mime)) {
+      if (!Session.getSession(ctx.from.id)) return next && next();
+      return ctx.reply(get(MSG,'customer.receipt_file_unsupported') || 'Please send the receipt as a photo, an image file or a PDF.');
+    }
+    return acceptFileReceipt(ctx, {
+      kind: 'document',
+      fileId: doc.file_id,
+      fileUniqueId: doc.file_unique_id,
+      extras: () => documentReceiptExtras(doc, isPdf)
+    });
+  });
 
+  async function acceptFileReceipt(ctx, { kind, fileId, fileUniqueId, extras }) {
     const uid = ctx.from.id;
     const s = Session.getSession(uid);
 
@@ -226,6 +616,8 @@ module.exports = function wireCustomerFlow(bot, deps) {
       return ctx.reply(get(MSG,'customer.awaiting_receipt_text') || 'Choose payment first, then send receipt photo.');
     }
 
+    if (s.outOfZone) return ctx.reply(t('customer.out_of_zone', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
+
     const sid = staffId();
     if (!sid) {
       return ctx.reply('Staff group not configured yet. Please try again shortly.');
@@ -235,33 +627,132 @@ module.exports = function wireCustomerFlow(bot, deps) {
       return ctx.reply(get(MSG,'customer.awaiting_receipt_text') || 'Send receipt photo after choosing payment.');
     }
 
-    const best = ctx.message.photo.at(-1);
-    const fileId = best.file_id;
-
     const isReplacement = (s.status === 'AWAITING_REVIEW');
     s.receiptFileId = fileId;
+    s.receiptKind = kind;
+    s.receiptText = null;
+    if (store) {
+      await store.savePaymentProof(ensureCanonRef ? ensureCanonRef(s) : s.ref, { source: kind })
+        .catch(e => console.warn('savePaymentProof error:', e.message));
+    }
+
+    const { phash, preview } = await extras();
 
     const flags = [];
     if (isReplacement) flags.push('🟦 Updated receipt (customer resent)');
-    if (DUP_FLAG) {
-      const isDup = seenReceiptIds.has(fileId);
-      seenReceiptIds.add(fileId);
-      if (isDup) flags.push('⚠️ Duplicate receipt (same photo sent before)');
+    if (DUP_FLAG && ReceiptIndex) {
+      const receipt = { fileUniqueId, phash };
+      flags.push(...duplicateFlags(ReceiptIndex.findOriginal(receipt), s, uid));
+      const who = [`${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim(), ctx.from.username ? '@' + ctx.from.username : '']
+        .filter(Boolean).join(' ');
+      await ReceiptIndex.record({ ...receipt, ref: s.ref, uid, customer: who || `id ${uid}` })
+        .catch(e => console.warn('receipt index error:', e.message));
     }
     if (FWD_FLAG) {
       const isFwd = !!(ctx.message.forward_from || ctx.message.forward_from_chat || ctx.message.forward_date);
       if (isFwd) flags.push('⚠️ Forwarded receipt');
     }
+    await submitForReview(ctx, s, flags, sid, { preview });
+  }
 
-    await postReceiptToStaff(ctx, s, { flags, staffGroupId: sid });
+  // Pasted Telebirr / CBE confirmation SMS (core/smsReceipt.js) in place of a screenshot
+  async function handleSmsReceipt(ctx, s, text, sms) {
+    const uid = ctx.from.id;
+    if (s.outOfZone) return ctx.reply(t('customer.out_of_zone', { SUPPORT_PHONE: SUPPORT_PHONE || '' }));
+    const sid = staffId();
+    if (!sid) return ctx.reply('Staff group not configured yet. Please try again shortly.');
+
+    const flags = [t('staff.sms_receipt_line', {
+      PROVIDER: sms.provider_label || 'SMS', TXN: sms.txn_id, AMOUNT: sms.amount, DATE: sms.date || '—', PAYEE: sms.payee || '—'
+    })];
+
+    const used = ReceiptIndex ? ReceiptIndex.findTxn(sms.txn_id) : null;
+    if (used && used.ref !== s.ref) {
+      flags.push(t('staff.sms_txn_reused', { TXN: sms.txn_id, REF: used.ref || '—', CUSTOMER: used.customer || `id ${used.uid}`, WHEN: fmtSeenAt(used.at) }));
+      if (used.uid != null && used.uid !== uid) flags.push(get(MSG,'staff.receipt_dup_other_customer') || '⚠️ Receipt belongs to a DIFFERENT customer');
+    }
+
+    const tol = Number(FEATURES?.pricing?.toleranceEtb ?? 1);
+    const owed = balanceOf(s);
+    if (owed && Math.abs(sms.amount - owed) > tol) {
+      flags.push(t('staff.sms_amount_mismatch', { PAID: sms.amount, EXPECTED: owed }));
+    }
+
+    s.receiptFileId = null;
+    s.receiptKind = 'sms';
+    s.receiptText = text.slice(0, 1000);
+    s.receiptTxnId = sms.txn_id;
+
+    if (ReceiptIndex) {
+      const who = [`${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim(), ctx.from.username ? '@' + ctx.from.username : '']
+        .filter(Boolean).join(' ');
+      await ReceiptIndex.recordTxn({ txnId: sms.txn_id, provider: sms.provider, amount: sms.amount, ref: s.ref, uid, customer: who || `id ${uid}` })
+        .catch(e => console.warn('receipt index error:', e.message));
+    }
+    if (store) {
+      await store.savePaymentProof(ensureCanonRef ? ensureCanonRef(s) : s.ref, { source: 'sms', txn_id: sms.txn_id, amount: sms.amount })
+        .catch(e => console.warn('savePaymentProof error:', e.message));
+    }
+
+    await submitForReview(ctx, s, flags, sid);
+  }
+
+  // Staff recorded a partial payment (index.js): ask for the rest with the payment keyboard
+  async function sendBalanceRequest(s) {
+    if (!s?._customerId) return;
+    const balance = Math.max(0, balanceOf(s));
+    const vars = { REF: s.ref, PAID: s.amountPaid, DUE: s.expectedTotal, BALANCE: balance, SUPPORT_PHONE: SUPPORT_PHONE || '' };
+    const kb = payKeyboard(s.ref, balance);
+    const text = t('customer.balance_request', vars);
+    if (!kb) {
+      await bot.telegram.sendMessage(s._customerId, `${text}\n\n${t('customer.no_payment_method', vars)}`).catch(()=>{});
+      return;
+    }
+    const msg = await bot.telegram.sendMessage(s._customerId, text, kb).catch(()=>null);
+    if (msg) trackKb(msg, 'pay');
+  }
+
+  // Payment reminders (core/paymentReminders.js ticker in index.js). Before a method is picked the
+  // nudge carries fresh payment buttons — the original ones have usually expired by then.
+  async function sendPaymentNudge(s, { last = false } = {}) {
+    const vars = { REF: s.ref, SUPPORT_PHONE: SUPPORT_PHONE || '' };
+    const lines = [t(s.status === 'AWAITING_RECEIPT' ? 'customer.receipt_nudge' : 'customer.existing_awaiting_payment_nudge', vars)];
+    if (last) lines.push(t('customer.nudge_last_note', vars));
+    const kb = s.status === 'AWAITING_PAYMENT' ? payKeyboard(s.ref, Math.max(0, balanceOf(s))) : null;
+    // a blocked bot still counts as nudged, so the order can lapse
+    const msg = await bot.telegram.sendMessage(s._customerId, lines.join('\n\n'), kb || {}).catch(()=>null);
+    if (kb && msg) trackKb(msg, 'pay');
+  }
+  async function sendLapsedNotice(s) {
+    await bot.telegram.sendMessage(s._customerId, t('customer.order_lapsed', { REF: s.ref, SUPPORT_PHONE: SUPPORT_PHONE || '' })).catch(()=>{});
+  }
+
+  // Order checks staff see next to every receipt (catalog, zone, recomputed amount)
+  function reviewFlags(s) {
+    const flags = [];
+    const parsed = parseOrderFields(s.summary || '');
+    if (Catalog) flags.push(...catalogFlags(Catalog.verifyItems(parsed.items)));
+    if (zoneFor) flags.push(...zoneFlags(zoneFor(parsed, s)));
+    if (reconcileFields) {
+      const recon = reconcileFields(parsed, s);
+      s.expectedTotal = recon.expected_total;
+      flags.push(...reconFlags(recon));
+    }
+    return flags;
+  }
+
+  async function submitForReview(ctx, s, flags, staffGroupId, { noReceipt = false, preview = null } = {}) {
+    // marks the order as past "not paid yet" for the payment reminders
+    s.submittedAt = s.submittedAt || new Date().toISOString();
+    await postReceiptToStaff(ctx, s, { flags: [...flags, ...reviewFlags(s)], staffGroupId, noReceipt, preview });
 
     // Ask for TIN after posting (optional), does not block staff
     if (TIN_ENABLED) {
       s.awaitingTin = true;
       s.awaitingTinExpectText = false;
-      await ctx.reply(get(MSG,'customer.tin_ask') || 'Do you have a TIN to use for this order?', tinAskKeyboard(s.ref));
+      trackKb(await ctx.reply(get(MSG,'customer.tin_ask') || 'Do you have a TIN to use for this order?', tinAskKeyboard(s.ref)), 'tinask');
     }
-  });
+  }
 
   // ───────────────────────────────────────────────────────────────────────────
   // CALLBACKS (customer)
@@ -276,35 +767,21 @@ module.exports = function wireCustomerFlow(bot, deps) {
         const [, method, ref] = data.split(':');
         const s = Session.getSessionByRef(ref);
         if (!s) return ctx.answerCbQuery('No active order.');
+        if (s.outOfZone) return ctx.answerCbQuery('Outside our delivery zones — please wait for support.');
 
-        s.method = method.toUpperCase();
-        s.status = 'AWAITING_RECEIPT';
-
-        const f = parseOrderFields(s.summary || '');
-
-        if (method === 'telebirr') {
-          await ctx.reply(
-            t('customer.payment_info_telebirr', { TOTAL: f.total || '—' }),
-            {
-              reply_markup: {
-                inline_keyboard: [
-                  [{ text: get(MSG,'buttons.copy_merchant_id') || 'Copy Merchant ID', copy_text: { text: '86555' } }]
-                ]
-              }
-            }
-          );
-        } else {
-          await ctx.reply(
-            t('customer.payment_info_cbe', { TOTAL: f.total || '—' }),
-            {
-              reply_markup: {
-                inline_keyboard: [
-                  [{ text: get(MSG,'buttons.copy_cbe_account') || 'Copy Account Number', copy_text: { text: '1000387118806' } }]
-                ]
-              }
-            }
-          );
-        }
+        const amount = Math.max(0, balanceOf(s));
+        const pm = Payments.availableFor(amount).find(m => m.id === method);
+        if (!pm) return ctx.answerCbQuery('This payment method is not available for this order.');
+
+        const moved = OrderState.transition(s, 'AWAITING_RECEIPT', { actor: `customer:${uid}`, reason: `pay:${method}` });
+        if (!moved.ok) return ctx.answerCbQuery('Payment already submitted for this order.');
+        s.method = pm.id.toUpperCase();
+
+        const info = Payments.instructionsFor(pm, { TOTAL: amount || '—', REF: s.ref }, key => get(MSG, key));
+        const copy = pm.copyValue
+          ? { reply_markup: { inline_keyboard: [[{ text: pm.copyLabel || get(MSG,'buttons.copy_value') || 'Copy', copy_text: { text: pm.copyValue } }]] } }
+          : {};
+        await ctx.reply(info, copy);
 
         await ctx.answerCbQuery('Payment info sent.');
 
@@ -313,13 +790,51 @@ module.exports = function wireCustomerFlow(bot, deps) {
           await ctx.telegram.sendMessage(
             sid,
             t('staff.method_selected', {
-              REF: s.ref, METHOD: s.method,
+              REF: s.ref, METHOD: pm.label,
               CUSTOMER_NAME: `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim(),
               USERNAME: ctx.from.username ? '@' + ctx.from.username : 'no_username'
             })
           ).catch(()=>{});
         }
 
+        // Cash on delivery and the like: nothing to upload, staff confirm the order as is
+        if (!pm.receiptRequired) {
+          if (!sid) return ctx.reply('Staff group not configured yet. Please try again shortly.');
+          s.receiptFileId = null;
+          s.receiptKind = null;
+          s.receiptText = null;
+          await submitForReview(ctx, s, [t('staff.no_receipt_method', { METHOD: pm.label })], sid, { noReceipt: true });
+        }
+
+        return;
+      }
+
+      // Rejected receipt → customer sends a new one for the same order
+      if (data.startsWith('resubmit:')) {
+        const ref = data.split(':')[1];
+        const s = Session.getSessionByRef(ref);
+        if (!s || s._customerId !== uid) return ctx.answerCbQuery('No active order.');
+        if (s.outOfZone) return ctx.answerCbQuery('Outside our delivery zones — please wait for support.');
+
+        const moved = OrderState.transition(s, 'AWAITING_RECEIPT', { actor: `customer:${uid}`, reason: 'resubmit' });
+        if (!moved.ok) return ctx.answerCbQuery('This order can no longer take a new receipt.');
+        const r = s.rejectReason;
+        const lastReason = !r ? '' : r.code === 'other' ? r.text : (get(MSG, `staff.reject_reason_${r.code}`) || r.code);
+        s.rejectReason = null;
+        s.receiptFileId = null;
+        s.receiptKind = null;
+        s.receiptText = null;
+        s.createdAt = Date.now();
+
+        await ctx.editMessageReplyMarkup(undefined).catch(()=>{});
+        releaseKb(ctx);
+        await ctx.answerCbQuery();
+        await ctx.reply(t('customer.resubmit_prompt', { REF: s.ref }));
+
+        const sid = staffId();
+        if (sid) {
+          await ctx.telegram.sendMessage(sid, t('staff.resubmit_notice', { REF: s.ref, REASON: lastReason || '—' })).catch(()=>{});
+        }
         return;
       }
 
@@ -333,12 +848,14 @@ module.exports = function wireCustomerFlow(bot, deps) {
         if (!pendingText) {
           await ctx.answerCbQuery('No new order found.');
           await ctx.editMessageText(get(MSG,'errors.no_pending_new_order') || 'No new order found — please paste your new order again.').catch(()=>{});
+          releaseKb(ctx);
           return;
         }
 
         const newRef = Session.genRef();
 
         if (sOld?.ref) {
+          OrderState.transition(sOld, 'SUPERSEDED', { actor: `customer:${uid}`, reason: `clearprev:${yn}` });
           try { Session.deleteRef(sOld.ref); } catch {}
           sOld.supersededRefs = Array.isArray(sOld.supersededRefs) ? sOld.supersededRefs : [];
           sOld.supersededRefs.push(sOld.ref);
@@ -347,7 +864,7 @@ module.exports = function wireCustomerFlow(bot, deps) {
         const sNew = {
           ref: newRef,
           summary: pendingText,
-          status: 'AWAITING_PAYMENT',
+          status: null,
           method: null,
           assigned_driver_id: null,
           driverTimer: null,
@@ -355,16 +872,19 @@ module.exports = function wireCustomerFlow(bot, deps) {
           holdMsgId: null,
           giveupUntil: null,
           createdAt: now(),
-          _customerId: uid
+          _customerId: uid,
+          summaryMsgId: sOld?.pendingNewSummaryMsgId ?? null
         };
+        OrderState.init(sNew, { actor: `customer:${uid}`, reason: 'intake_new' });
         Session.setSession(uid, sNew);
         Session.setRef(newRef, uid);
 
-        if (sOld) delete sOld.pendingNewSummary;
+        if (sOld) { delete sOld.pendingNewSummary; delete sOld.pendingNewSummaryMsgId; }
 
         const sid = staffId();
         if (yn === 'yes') {
           await ctx.editMessageText((get(MSG,'customer.previous_cleared') || 'Previous order cleared.') + ` ${t('customer.new_order_ready', { REF: newRef })}`).catch(()=>{});
+          releaseKb(ctx);
           if (NOTIFY_SUPERSEDE && sid) {
             await bot.telegram.sendMessage(
               sid,
@@ -374,6 +894,7 @@ module.exports = function wireCustomerFlow(bot, deps) {
           }
         } else {
           await ctx.editMessageText((get(MSG,'customer.previous_archived') || 'Continuing with a new order.') + ` ${t('customer.new_order_ready', { REF: newRef })}`).catch(()=>{});
+          releaseKb(ctx);
         }
 
         await sendSummaryWithPay(ctx, pendingText, newRef);
@@ -389,13 +910,16 @@ module.exports = function wireCustomerFlow(bot, deps) {
         if (yn === 'yes') {
           s.awaitingTin = true;
           s.awaitingTinExpectText = true;
+          s.tinTries = 0;
           await ctx.editMessageText(get(MSG,'customer.tin_prompt') || 'Please send your TIN number.').catch(()=>{});
+          releaseKb(ctx);
           await ctx.answerCbQuery('Okay.');
           return;
         } else {
           s.awaitingTin = false;
           s.awaitingTinExpectText = false;
           await ctx.editMessageText(get(MSG,'customer.tin_skip') || 'No TIN used.').catch(()=>{});
+          releaseKb(ctx);
           await ctx.answerCbQuery('Okay.');
           return;
         }
@@ -411,9 +935,10 @@ module.exports = function wireCustomerFlow(bot, deps) {
   // ───────────────────────────────────────────────────────────────────────────
   // Staff posting — used on receipt; sets AWAITING_REVIEW and posts immediately
 
-  async function postReceiptToStaff(ctx, s, { flags = [], staffGroupId } = {}) {
+  async function postReceiptToStaff(ctx, s, { flags = [], staffGroupId, noReceipt = false, preview = null } = {}) {
     try {
-      s.status = 'AWAITING_REVIEW';
+      const reason = noReceipt ? `no_receipt:${s.method}` : (s.receiptText ? 'receipt_sms' : 'receipt');
+      OrderState.transition(s, 'AWAITING_REVIEW', { actor: `customer:${ctx.from.id}`, reason });
 
       const caption = [
         t('staff.receipt_caption', {
@@ -423,23 +948,45 @@ module.exports = function wireCustomerFlow(bot, deps) {
           USERNAME: ctx.from.username ? '@' + ctx.from.username : 'no_username',
           USER_ID: ctx.from.id
         }),
-        flags.length ? `${get(MSG,'staff.receipt_flags_prefix') || 'Flags:'} ${flags.join(' | ')}` : ''
+        itemsLine ? itemsLine(parseOrderFields(s.summary || '')).trim() : '',
+        flags.length ? `${get(MSG,'staff.receipt_flags_prefix') || 'Flags:'} ${flags.join(' | ')}` : '',
+        s.expectedTotal != null ? t('staff.approve_amount_line', { AMOUNT: s.expectedTotal }) : '',
+        Number(s.amountPaid) > 0 ? t('staff.balance_line', { PAID: s.amountPaid, DUE: s.expectedTotal, BALANCE: Math.max(0, balanceOf(s)) }) : ''
       ].filter(Boolean).join('\n');
 
       const actions = Markup.inlineKeyboard([
         [
           Markup.button.callback(get(MSG,'buttons.approve') || 'Approve ✅', `approve:${ctx.from.id}:${s.ref}`),
           Markup.button.callback(get(MSG,'buttons.reject')  || 'Reject ❌',  `reject:${ctx.from.id}:${s.ref}`)
-        ]
+        ],
+        [Markup.button.callback(get(MSG,'buttons.amount_received') || '💵 Amount received', `amt:${ctx.from.id}:${s.ref}`)]
       ]);
 
-      await ctx.telegram.sendPhoto(staffGroupId, s.receiptFileId, { caption, ...actions });
+      if (preview) {
+        await ctx.telegram.sendPhoto(staffGroupId, { source: preview }, { caption: t('staff.receipt_pdf_preview', { REF: s.ref }) })
+          .catch(e => console.warn('receipt preview error:', e.message));
+      }
+      let review;
+      if (s.receiptFileId && s.receiptKind === 'document') {
+        review = await ctx.telegram.sendDocument(staffGroupId, s.receiptFileId, { caption, ...actions });
+      } else if (s.receiptFileId) {
+        review = await ctx.telegram.sendPhoto(staffGroupId, s.receiptFileId, { caption, ...actions });
+      } else {
+        review = await ctx.telegram.sendMessage(
+          staffGroupId,
+          s.receiptText ? `${caption}\n\n${get(MSG,'staff.sms_receipt_prefix') || '📩 Pasted SMS:'}\n${s.receiptText}` : caption,
+          actions
+        );
+      }
+      trackKb(review, 'review');
       await ctx.telegram.sendMessage(
         staffGroupId,
-        (get(MSG,'staff.order_summary_prefix') || '🧾 Order Summary:\n') + (s.summary || '').slice(0, 4000)
+        (get(MSG,'staff.order_summary_prefix') || '🧾 Order Summary:\n') + signatureNote(s.summary) + displaySummary(s.summary).slice(0, 4000)
       );
 
-      await ctx.reply(t('customer.receipt_received', { REF: s.ref }) || 'We received your receipt.');
+      await ctx.reply(noReceipt
+        ? t('customer.order_received_no_receipt', { REF: s.ref })
+        : (t('customer.receipt_received', { REF: s.ref }) || 'We received your receipt.'));
     } catch (err) {
       console.error('postReceiptToStaff error', err);
       await ctx.reply('There was an issue posting your receipt. Our team has been notified.').catch(()=>{});
@@ -449,4 +996,13 @@ module.exports = function wireCustomerFlow(bot, deps) {
       }
     }
   }
+
+  // Used by index.js (/start deep links, partial payments, payment reminders)
+  return {
+    startOrderSession,
+    replyMaintenance,
+    sendBalanceRequest,
+    sendPaymentNudge,
+    sendLapsedNotice
+  };
 };
@@ -15,13 +15,21 @@ const crypto = require('crypto');
 
 // Storage (disk JSON via /var/data)
 const store = require('./services/orderStore');
+const deepLinks = require('./services/deepLinks');
 const wireAdminExportFlow = require('./flows/adminExportFlow');
+const Payments = require('./core/paymentMethods');
+const { normalizePhone, formatPhone } = require('./core/phone');
 
 const {
   isLikelyQuestion,
   isOrderSummaryStrict,
+  scoreOrderSummary,
+  diagnoseOrder,
   parseOrderFields,
-  extractRef
+  extractRef,
+  extractSignedOrder,
+  summaryForDisplay,
+  diffOrderFields
 } = require('./parser');
 
 // ────────────────────────────────────────────────────────────────────────────────
@@ -72,7 +80,13 @@ function loadFeatures() {
       notifySupersede: true,
       ...(f.flags || {})
     },
-    ops: { approveScope: 'members', rateLimitMs: 1500, ...(f.ops || {}) },
+    geo: { hubLat: 0, hubLng: 0, hubName: '', roadFactor: 1.3, distanceTolerancePct: 25, ...(f.geo || {}) },
+    zones: { enabled: false, list: [], ...(f.zones || {}) },
+    payments: { methods: [], ...(f.payments || {}) },
+    reminders: { enabled: true, delaysMinutes: [20, 60], lapseAfterMinutes: 120, ...(f.reminders || {}) },
+    invoice: { enabled: false, prefix: 'GG-INV', vatPct: 15, pricesIncludeVat: true, seller: {}, ...(f.invoice || {}) },
+    pricing: { toleranceEtb: 1, deliveryBaseEtb: 0, deliveryPerKmEtb: 0, deliveryMinEtb: 0, ...(f.pricing || {}) },
+    ops: { approveScope: 'members', dualApprovalAboveEtb: 0, rateLimitMs: 1500, ...(f.ops || {}) },
     broadcast: { language: 'am', shortCard: true, ...(f.broadcast || {}) },
     _meta: f._meta || { version: '1.0' }
   };
@@ -89,7 +103,10 @@ function loadDriversFromFile() {
       const id = Number(d.id);
       if (!Number.isFinite(id)) continue;
       const name  = String(d.name  || '').trim();
-      const phone = String(d.phone || '').trim();
+      const raw   = String(d.phone || '').trim();
+      const e164  = normalizePhone(raw);
+      if (raw && !e164) console.warn(`drivers.json: unrecognised phone for ${id}: ${raw}`);
+      const phone = e164 || raw;
       if (!name || !phone) continue;
       drivers.set(id, { id, name, phone });
     }
@@ -125,11 +142,12 @@ const SHEETS_URL    = process.env.SHEETS_WEBHOOK_URL || '';
 const SHEETS_SECRET = process.env.SHEETS_SECRET || '';
 
 // Derived runtime knobs
-let APPROVE_SCOPE, RATE_LIMIT_MS, HOLD_SECONDS, BUTTON_TTL_SEC, DRIVER_WINDOW_MS, GIVEUP_MS, ALLOW_NEW_ORDER;
+let APPROVE_SCOPE, DUAL_APPROVAL_ETB, RATE_LIMIT_MS, HOLD_SECONDS, BUTTON_TTL_SEC, DRIVER_WINDOW_MS, GIVEUP_MS, ALLOW_NEW_ORDER;
 let SUPPORT_ENABLED, SUPPORT_PHONE, DUP_FLAG, FWD_FLAG, RE_REVIEW_ON_UNDO, OPS_UNASSIGN_EN, TIMEZONE, CUTOFF_HOUR, NOTIFY_SUPERSEDE;
 
 function refreshDerived() {
   APPROVE_SCOPE     = String(process.env.APPROVE_SCOPE || FEATURES.ops.approveScope || 'members').toLowerCase();
+  DUAL_APPROVAL_ETB = Number(process.env.DUAL_APPROVAL_ABOVE_ETB || FEATURES.ops.dualApprovalAboveEtb || 0);
   RATE_LIMIT_MS     = Number(process.env.RATE_LIMIT_MS || FEATURES.ops.rateLimitMs || 1500);
   HOLD_SECONDS      = Number(process.env.HOLD_SECONDS || FEATURES.flows.holdSeconds || 60);
   BUTTON_TTL_SEC    = Number(process.env.BUTTON_TTL_SEC || FEATURES.flows.buttonTtlSeconds || 900);
@@ -148,6 +166,8 @@ function refreshDerived() {
 
   TIMEZONE          = String(FEATURES.time.timezone || 'Africa/Addis_Ababa');
   CUTOFF_HOUR       = Number(FEATURES.time.cutoffHourLocal || 18);
+
+  Payments.configure(FEATURES.payments.methods);
 }
 refreshDerived();
 
@@ -161,6 +181,22 @@ try {
   console.error('Missing ./core/session.js — please add it.');
   process.exit(1);
 }
+const OrderState = require('./core/orderState');
+const Buttons = require('./core/buttonTtl');
+const Maintenance = require('./core/maintenance');
+const Reconcile = require('./core/reconcile');
+const Catalog = require('./services/catalog');
+const Geo = require('./core/geo');
+const Zones = require('./core/zones');
+const IntakeLog = require('./services/intakeLog');
+const ReceiptIndex = require('./services/receiptIndex');
+const { dHash } = require('./core/imageHash');
+const { renderFirstPage: renderPdfThumbnail } = require('./core/pdfThumbnail');
+const { parseSmsReceipt } = require('./core/smsReceipt');
+const { normalizeTin } = require('./core/tin');
+const Invoice = require('./core/invoice');
+const Invoices = require('./services/invoices');
+const PaymentReminders = require('./core/paymentReminders');
 
 // ────────────────────────────────────────────────────────────────────────────────
 const bot = new Telegraf(BOT_TOKEN);
@@ -180,6 +216,7 @@ function localHour(tz) {
   }
 }
 function afterCutoff() { return localHour(TIMEZONE) >= CUTOFF_HOUR; }
+function actorOf(ctx, role) { return `${role}:${ctx?.from?.id ?? '?'}`; }
 
 async function isGroupAdmin(ctx) {
   try {
@@ -203,9 +240,178 @@ function t(key, vars = {}) {
   return s.replace(/\{([A-Z0-9_]+)\}/g, (_, k) => (k in vars ? String(vars[k]) : `{${k}}`));
 }
 
+// Inline keyboards expire after flows.buttonTtlSeconds unless a kind-specific TTL is given.
+// Driver action keyboards (picked/done/give up) are not tracked: they must last the whole delivery.
+function trackKb(msg, kind, ttlSec = BUTTON_TTL_SEC) {
+  Buttons.track(msg, { kind, ttlSec });
+  return msg;
+}
+function releaseKb(chatId, messageId) {
+  if (chatId != null && messageId != null) Buttons.release(chatId, messageId);
+}
+// Staff review posts are a receipt photo/file (caption) or plain text (SMS / no-receipt methods)
+function reviewPostRef(m) {
+  return m ? { chatId: m.chat.id, messageId: m.message_id, isText: m.text != null } : null;
+}
+function editReviewPost(review, text) {
+  if (!review) return Promise.resolve();
+  return review.isText
+    ? bot.telegram.editMessageText(review.chatId, review.messageId, undefined, text)
+    : bot.telegram.editMessageCaption(review.chatId, review.messageId, undefined, text);
+}
+
+// Staff pick one after tapping Reject; 'other' asks for a typed reason
+const REJECT_REASONS = ['amount_mismatch', 'unreadable', 'wrong_account', 'duplicate', 'other'];
+function reviewKb(uid, ref) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(get(MSG,'buttons.approve') || 'Approve ✅', `approve:${uid || '0'}:${ref}`),
+     Markup.button.callback(get(MSG,'buttons.reject')  || 'Reject ❌',  `reject:${uid || '0'}:${ref}`)],
+    [Markup.button.callback(get(MSG,'buttons.amount_received') || '💵 Amount received', `amt:${uid || '0'}:${ref}`)]
+  ]);
+}
+function rejectReasonKb(uid, ref) {
+  const buttons = REJECT_REASONS.map(code =>
+    Markup.button.callback(get(MSG, `buttons.reject_reason_${code}`) || code, `rejr:${uid || '0'}:${ref}:${code}`));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([Markup.button.callback(get(MSG,'buttons.reject_back') || '← Back', `rejback:${uid || '0'}:${ref}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+function rejectReasonLabel(r) {
+  if (!r) return '';
+  return r.code === 'other' ? r.text : (get(MSG, `staff.reject_reason_${r.code}`) || r.code);
+}
+// force-reply prompt message id -> { kind: 'reject_note'|'amount', uid, ref, review } while staff type
+// an "other" rejection reason or the amount received
+const pendingStaffReplies = new Map();
+
+// Partial payments: s.payments [{ amount, by, at, via }] sum to s.amountPaid; due is the reconciled total
+function amountDue(s) {
+  return Number(s?.expectedTotal ?? reconcileFields(parseOrderFields(s?.summary || ''), s).expected_total) || 0;
+}
+// What's still owed (negative = overpaid); the customer flow uses this too
+function balanceOf(s) {
+  return Math.round((amountDue(s) - (Number(s?.amountPaid) || 0)) * 100) / 100;
+}
+// approval: the payment is part of an approval on hold, so undoing that approval takes it back out
+function recordPayment(s, amount, { by = 'staff', via = 'amount', approval = false } = {}) {
+  s.payments = Array.isArray(s.payments) ? s.payments : [];
+  s.payments.push({ amount: Math.round(Number(amount) * 100) / 100, by, at: new Date().toISOString(), via, approval });
+  tallyPayments(s);
+}
+function dropApprovalPayments(s) {
+  if (!Array.isArray(s?.payments) || !s.payments.some(p => p.approval || p.via === 'approve')) return false;
+  s.payments = s.payments.filter(p => !(p.approval || p.via === 'approve'));
+  tallyPayments(s);
+  return true;
+}
+function tallyPayments(s) {
+  s.amountPaid = Math.round(s.payments.reduce((n, p) => n + (Number(p.amount) || 0), 0) * 100) / 100;
+  const over = -balanceOf(s);
+  s.creditEtb = over > Number(FEATURES.pricing?.toleranceEtb ?? 1) ? over : 0;
+}
+// 'approved' unless staff recorded payments that leave a balance (owner override dispatches those as 'partial')
+function paymentStatusOf(s) {
+  if (!Array.isArray(s?.payments) || !s.payments.length) return 'approved';
+  return balanceOf(s) > Number(FEATURES.pricing?.toleranceEtb ?? 1) ? 'partial' : 'approved';
+}
+function savePaymentAmounts(s) {
+  if (!Array.isArray(s?.payments)) return Promise.resolve();
+  return store.savePaymentAmounts(ensureCanonRef(s), { amount_paid: s.amountPaid, amount_due: amountDue(s), credit_etb: s.creditEtb || 0 })
+    .catch(e => console.warn('savePaymentAmounts error:', e.message));
+}
+// Two-person approval (ops.dualApprovalAboveEtb, 0 = off): above it a second, different approver
+// (or an owner) must sign off before finalizeApproval dispatches. s.approvers = [{ id, name, owner, at }]
+function approverOf(ctx) {
+  const f = ctx.from || {};
+  const name = `${f.first_name || ''} ${f.last_name || ''}`.trim() || (f.username ? '@' + f.username : String(f.id));
+  return { id: f.id, name, owner: isOwner(ctx), at: new Date().toISOString() };
+}
+function needsSecondApproval(s) {
+  return DUAL_APPROVAL_ETB > 0 && amountDue(s) > DUAL_APPROVAL_ETB;
+}
+function approvalComplete(s) {
+  if (!needsSecondApproval(s)) return true;
+  const a = Array.isArray(s.approvers) ? s.approvers : [];
+  return a.some(x => x.owner) || new Set(a.map(x => x.id)).size >= 2;
+}
+function signoffLine(s) {
+  const a = Array.isArray(s.approvers) ? s.approvers : [];
+  return t('staff.signoffs_line', { NAMES: a.map(x => x.name).join(', ') || '—', COUNT: a.length, NEEDED: needsSecondApproval(s) ? 2 : 1 });
+}
+// Hold message: Undo, plus the second sign-off button while one is still missing
+function holdKb(s) {
+  const row = [Markup.button.callback(get(MSG,'buttons.undo_hold') || 'Undo (60s)', `undo:${s.ref}`)];
+  if (!approvalComplete(s)) row.push(Markup.button.callback(get(MSG,'buttons.second_approval') || 'Second approval ✅', `approve2:${s.ref}`));
+  return Markup.inlineKeyboard([row]);
+}
+function holdText(s) {
+  if (approvalComplete(s)) return `${t('staff.approved_hold_message', { REF: s.ref })}${needsSecondApproval(s) ? `\n${signoffLine(s)}` : ''}`;
+  return t('staff.approval_needs_second', { REF: s.ref, LIMIT: DUAL_APPROVAL_ETB, SIGNOFFS: signoffLine(s) });
+}
+
+function parseEtbAmount(text) {
+  const m = String(text || '').replace(/,/g, '').match(/\d+(?:\.\d{1,2})?/);
+  const n = m ? Number(m[0]) : 0;
+  return n > 0 ? n : null;
+}
+function driverOfferTtlSec() {
+  return Math.max(BUTTON_TTL_SEC, Math.round(DRIVER_WINDOW_MS / 1000));
+}
+
+// Recomputed amount for a parsed order (features.pricing); staff approve against expected_total
+function reconcileFields(f, s) {
+  const zone = zoneFor(f || {}, s);
+  return Reconcile.reconcile(f || {}, FEATURES.pricing || {}, {
+    unitPrice: Catalog.unitPrice,
+    distance: distanceFor(f || {}, s),
+    distanceTolerancePct: FEATURES.geo?.distanceTolerancePct,
+    zoneFee: zone && zone.status === 'in' ? zone.fee : null
+  });
+}
+// Amount disagreements only; 'unverified' (unpriced items) and 'distance' aren't a wrong total
+const MISMATCH_CODES = new Set(['total', 'line_total', 'delivery']);
+function hasTotalMismatch(recon) {
+  return (recon?.issues || []).some(i => MISMATCH_CODES.has(i.code));
+}
+// Delivery point: a Telegram location the customer shared wins over the map link coordinates
+function orderPoint(f, s) {
+  if (Geo.hasCoords(s?.location)) return s.location;
+  return Geo.hasCoords(f) ? { lat: f.lat, lng: f.lng } : null;
+}
+function distanceFor(f, s) {
+  return Geo.distanceFromHub(orderPoint(f, s), FEATURES.geo || {});
+}
+// Delivery zone (features.zones) from the delivery point and address; null when zones are off
+function zoneFor(f, s) {
+  const text = [f?.address, f?.area].filter(Boolean).join(', ');
+  return Zones.resolveZone({ point: orderPoint(f, s), text }, FEATURES.zones, { geo: FEATURES.geo || {}, timezone: TIMEZONE });
+}
+// Template vars shared by the driver offer / assigned cards
+function driverCardVars(s, f) {
+  const mapUrl = (f.map && f.map !== '—') ? f.map : Geo.mapsUrl(orderPoint(f, s));
+  const dist = distanceFor(f, s);
+  const zone = zoneFor(f, s);
+  let mapLine = mapUrl ? t('driver.broadcast_map_line_am', { MAP_URL: mapUrl }) : '';
+  if (dist) mapLine += `${mapLine ? '\n' : ''}${t('driver.distance_line', { KM: dist.road_km })}`;
+  return {
+    REF: s.ref, QTY: f.qty, AREA: zone && zone.status === 'in' ? zone.name : f.area, TOTAL: reconcileFields(f, s).expected_total,
+    DELIVERY_FEE: f.delivery, MAP_LINE: mapLine
+  };
+}
+// "\n📦 <catalog names × qty>" for driver/staff cards ('' when no items parsed)
+function itemsLine(f) {
+  const names = Catalog.describeItems(f?.items);
+  return names ? `\n📦 ${names}` : '';
+}
+function amountLine(s) {
+  const amount = s?.expectedTotal ?? reconcileFields(parseOrderFields(s?.summary || ''), s).expected_total;
+  return t('staff.approve_amount_line', { AMOUNT: amount });
+}
+
 // Canonical ref helpers
 function getCanonicalRef(s) {
-  const fromSummary = extractRef(s?.summary || '');
+  const fromSummary = extractRef(s?.summary || '') || parseOrderFields(s?.summary || '').ref;
   return fromSummary || s?.ref || '';
 }
 function ensureCanonRef(s) {
@@ -213,13 +419,23 @@ function ensureCanonRef(s) {
   return s._canonRef;
 }
 
+// Every recorded status change goes to the order's history in the store
+OrderState.onTransition((s, entry) => {
+  const id = ensureCanonRef(s);
+  if (!id) return;
+  store.saveStatusTransition(id, entry).catch(e => console.warn('saveStatusTransition error:', e.message));
+  Session.schedulePersist();
+});
+
 // ────────────────────────────────────────────────────────────────────────────────
 // Timers for driver window
-function setDriverTimer(ref) {
+function setDriverTimer(ref, delayMs = DRIVER_WINDOW_MS) {
   const s = Session.getSessionByRef(ref); if (!s) return;
   clearDriverTimer(s);
+  s.driverDueAt = Date.now() + delayMs;
   s.driverTimer = setTimeout(async () => {
     const still = Session.getSessionByRef(ref);
+    if (still) { still.driverTimer = null; still.driverDueAt = null; }
     if (still && !still.assigned_driver_id && still.status === 'DISPATCHING' && STAFF_GROUP_ID) {
       await bot.telegram.sendMessage(
         STAFF_GROUP_ID,
@@ -229,9 +445,13 @@ function setDriverTimer(ref) {
         await bot.telegram.sendMessage(s._customerId, t('customer.no_driver_delay', { REF: ref })).catch(()=>{});
       }
     }
-  }, DRIVER_WINDOW_MS);
+  }, delayMs);
+  Session.schedulePersist();
+}
+function clearDriverTimer(s) {
+  if (s?.driverTimer) { clearTimeout(s.driverTimer); s.driverTimer = null; }
+  if (s) s.driverDueAt = null;
 }
-function clearDriverTimer(s) { if (s?.driverTimer) { clearTimeout(s.driverTimer); s.driverTimer = null; } }
 
 // Sheets poster (best-effort)
 async function postSheets(event, data = {}) {
@@ -257,19 +477,31 @@ const openUndos = new Map(); // key -> expiresAt
 const pendingFx = new Map(); // key -> timeout handle
 const fxKey = (ref, action, driverId) => `${ref}:${action}:${driverId}`;
 
+// Pending effects are also stamped on the session (s.pendingFx["action:driverId"] = dueAt)
+// so rearmSessionTimers() can schedule them again after a restart.
+function markFx(ref, action, driverId, dueAt) {
+  const s = Session.getSessionByRef(ref); if (!s) return;
+  const k = `${action}:${driverId}`;
+  if (dueAt) { s.pendingFx = { ...(s.pendingFx || {}), [k]: dueAt }; }
+  else if (s.pendingFx) { delete s.pendingFx[k]; }
+  Session.schedulePersist();
+}
 function cancelFx(ref, action, driverId) {
   const key = fxKey(ref, action, driverId);
   const h = pendingFx.get(key);
   if (h) { clearTimeout(h); pendingFx.delete(key); }
+  markFx(ref, action, driverId, null);
 }
-function scheduleFx(ref, action, driverId, fn) {
+function scheduleFx(ref, action, driverId, fn, delayMs = UNDO_SECS * 1000) {
   cancelFx(ref, action, driverId);
   const key = fxKey(ref, action, driverId);
   const h = setTimeout(async () => {
     pendingFx.delete(key);
+    markFx(ref, action, driverId, null);
     try { await fn(); } catch {}
-  }, UNDO_SECS * 1000);
+  }, delayMs);
   pendingFx.set(key, h);
+  markFx(ref, action, driverId, Date.now() + delayMs);
 }
 function isUndoOpen(ref, action, driverId) {
   const exp = openUndos.get(fxKey(ref, action, driverId));
@@ -283,7 +515,7 @@ async function openUndoPrompt(ref, action, driverId, labelText) {
   const btn = Markup.inlineKeyboard([
     [Markup.button.callback(`↩️ Undo (${UNDO_SECS}s)`, `drv_undo_simple:${action}:${ref}`)]
   ]);
-  try { await bot.telegram.sendMessage(driverId, `Undo ${labelText} — ${ref}?`, btn); } catch {}
+  try { trackKb(await bot.telegram.sendMessage(driverId, `Undo ${labelText} — ${ref}?`, btn), 'drv_undo', UNDO_SECS); } catch {}
 }
 function driverActionsKB(ref) {
   const btnPicked = get(MSG,'buttons.drv_picked_am') || '✔ ተነሳ';
@@ -306,18 +538,16 @@ async function showAcceptDeclineToDriver(s, driverId) {
       Markup.button.callback(btnDecline, `drv_decline:${s.ref}`)]]);
 
     const f = parseOrderFields(s.summary || '');
-    const mapLine = f.map && f.map !== '—' ? t('driver.broadcast_map_line_am', { MAP_URL: f.map }) : '';
-    let card = t('driver.broadcast_card_am', {
-      REF: s.ref, QTY: f.qty, AREA: f.area, TOTAL: f.total, DELIVERY_FEE: f.delivery, MAP_LINE: mapLine
-    });
+    let card = t('driver.broadcast_card_am', driverCardVars(s, f));
     if (f.customerName) card = `👤 ${f.customerName}\n` + card;
-    if (f.phone) card += `\n📞 ${f.phone}`;
-    await bot.telegram.sendMessage(driverId, card, kb);
+    card += itemsLine(f);
+    if (f.phone) card += `\n📞 ${formatPhone(f.phone)}`;
+    trackKb(await bot.telegram.sendMessage(driverId, card, kb), 'drv_offer', driverOfferTtlSec());
   } catch {}
 }
 
 // Effects (persist + notices)
-function scheduleAcceptEffects(ref, driverId) {
+function scheduleAcceptEffects(ref, driverId, delayMs) {
   scheduleFx(ref, 'accept', driverId, async () => {
     const s = Session.getSessionByRef(ref);
     if (!s) return;
@@ -332,7 +562,7 @@ function scheduleAcceptEffects(ref, driverId) {
         t('staff.driver_accepted', {
           REF: canonRef,
           DRIVER_NAME: d ? d.name : `id ${driverId}`,
-          DRIVER_PHONE: d ? d.phone : '—',
+          DRIVER_PHONE: d ? formatPhone(d.phone) : '—',
           USER_ID: d ? d.id : driverId
         })
       ).catch(()=>{});
@@ -345,7 +575,7 @@ function scheduleAcceptEffects(ref, driverId) {
         t('customer.driver_assigned', {
           REF: canonRef,
           DRIVER_NAME: d ? d.name : 'Assigned driver',
-          DRIVER_PHONE: d ? d.phone : '—'
+          DRIVER_PHONE: d ? formatPhone(d.phone) : '—'
         })
       ).catch(()=>{});
     }
@@ -356,7 +586,7 @@ function scheduleAcceptEffects(ref, driverId) {
       phone: f.phone || '',
       area: f.area || '',
       map_url: f.map || '',
-      total_etb: f.total || '',
+      total_etb: reconcileFields(f, s).expected_total || '',
       delivery_fee: f.delivery || '',
       payment_method: s.method || '',
       driver_id: d ? d.id : driverId,
@@ -364,9 +594,9 @@ function scheduleAcceptEffects(ref, driverId) {
       driver_phone: d ? d.phone : '',
       status: 'ASSIGNED'
     });
-  });
+  }, delayMs);
 }
-function schedulePickedEffects(ref, driverId) {
+function schedulePickedEffects(ref, driverId, delayMs) {
   scheduleFx(ref, 'picked', driverId, async () => {
     const s = Session.getSessionByRef(ref);
     if (!s) return;
@@ -377,9 +607,9 @@ function schedulePickedEffects(ref, driverId) {
 
     if (STAFF_GROUP_ID) await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.picked_up', { REF: canonRef, USER_ID: driverId })).catch(()=>{});
     if (s._customerId) await bot.telegram.sendMessage(s._customerId, t('customer.picked_up', { REF: canonRef })).catch(()=>{});
-  });
+  }, delayMs);
 }
-function scheduleDeliveredEffects(ref, driverId) {
+function scheduleDeliveredEffects(ref, driverId, delayMs) {
   scheduleFx(ref, 'delivered', driverId, async () => {
     const s = Session.getSessionByRef(ref);
     if (!s) return;
@@ -397,7 +627,7 @@ function scheduleDeliveredEffects(ref, driverId) {
       phone: f3.phone || '',
       area: f3.area || '',
       map_url: f3.map || '',
-      total_etb: f3.total || '',
+      total_etb: reconcileFields(f3, s).expected_total || '',
       delivery_fee: f3.delivery || '',
       payment_method: s.method || '',
       driver_id: dInfo2 ? dInfo2.id : driverId,
@@ -407,18 +637,18 @@ function scheduleDeliveredEffects(ref, driverId) {
     });
 
     try {
-      const fields = mapFieldsFromSummary(f3, s.summary);
+      const fields = mapFieldsFromSummary(f3, s.summary, s);
       fields.order_id = canonRef;
       await store.saveOrderIntake(fields);
-      await store.savePaymentStatus(canonRef, 'approved');
+      await store.savePaymentStatus(canonRef, paymentStatusOf(s));
       await store.saveDriverEvent(canonRef, 'delivered', dInfo2 ? dInfo2.name : '');
     } catch (e) {
       console.error('persist(delivered) error', e);
       if (STAFF_GROUP_ID) bot.telegram.sendMessage(STAFF_GROUP_ID, `⚠️ Persist failed for ${canonRef} (delivered)`).catch(()=>{});
     }
-  });
+  }, delayMs);
 }
-function scheduleGiveupEffects(ref, driverId) {
+function scheduleGiveupEffects(ref, driverId, delayMs) {
   scheduleFx(ref, 'giveup', driverId, async () => {
     const s = Session.getSessionByRef(ref);
     if (!s) return;
@@ -427,20 +657,48 @@ function scheduleGiveupEffects(ref, driverId) {
     if (STAFF_GROUP_ID) await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.driver_canceled_rebroadcast', { REF: ref, USER_ID: driverId })).catch(()=>{});
     await broadcastToDrivers(s, driverId);
     setDriverTimer(ref);
-  });
+  }, delayMs);
 }
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Basic commands
 bot.start(async (ctx) => {
   const txt = ctx.message?.text || '';
-  const payload = txt.split(' ')[1];
-  if (payload && payload.startsWith('GG_')) {
-    await ctx.reply('Link received. Please paste your order summary here to continue.');
-    return;
+  const payload = (txt.split(' ')[1] || '').trim();
+  if (payload && isPrivate(ctx) && customerFlow && Maintenance.status().active) {
+    return customerFlow.replyMaintenance(ctx); // token stays unused until maintenance ends
+  }
+  if (payload && isPrivate(ctx)) {
+    // Website deep link: t.me/<bot>?start=<token> → load the registered order straight away
+    const link = await deepLinks.consumeToken(payload, ctx.from.id)
+      .catch((e) => { console.warn('deeplink consume error:', e.message); return { ok: false, reason: 'not_found' }; });
+    if (link.ok && customerFlow) {
+      await captureIntake(link.summary, { chat: ctx.chat, message: { text: link.summary } }, link.order_id);
+      return customerFlow.startOrderSession(ctx, link.summary, { reason: 'deeplink' });
+    }
+    if (link.reason === 'expired' || link.reason === 'used') {
+      return ctx.reply(get(MSG,'customer.deeplink_expired') || 'This order link has expired. Please paste your order summary here to continue.');
+    }
+    // Legacy GG_ links or unknown tokens: fall back to the paste flow
+    return ctx.reply(get(MSG,'customer.deeplink_fallback') || 'Link received. Please paste your order summary here to continue.');
   }
   await ctx.reply('EMMA online. Use /ping here. In your staff group, run /setstaff once.');
 });
+// Customer: cancel the active order (confirmed with a button, see cancel: callbacks)
+bot.command('cancel', async (ctx) => {
+  if (!isPrivate(ctx)) return;
+  const s = Session.getSession(ctx.from.id);
+  if (!s || !s.ref || CLOSED_STATES.has(s.status)) return ctx.reply(t('customer.cancel_none'));
+  if (receiptUnderReview(s)) return ctx.reply(t('customer.cancel_under_review', { REF: s.ref, SUPPORT_PHONE }));
+  if (!canCustomerCancel(s)) return ctx.reply(t('customer.cancel_too_late', { REF: s.ref, SUPPORT_PHONE }));
+  const refund = refundDueOf(s);
+  const kb = Markup.inlineKeyboard([[
+    Markup.button.callback(get(MSG,'buttons.cancel_yes') || 'Yes, cancel', `cancel:yes:${s.ref}`),
+    Markup.button.callback(get(MSG,'buttons.cancel_no')  || 'Keep order',  `cancel:no:${s.ref}`)
+  ]]);
+  trackKb(await ctx.reply(t(refund ? 'customer.cancel_confirm_paid' : 'customer.cancel_confirm', { REF: s.ref, AMOUNT: refund }), kb), 'cancel');
+});
+
 bot.command('ping', async (ctx) => ctx.reply(`pong | ${new Date().toISOString()}`));
 bot.command('me',   async (ctx) => ctx.reply(`Your ID: ${ctx.from.id}`));
 bot.command('id',   async (ctx) => ctx.reply(`Chat ID: ${ctx.chat.id}`));
@@ -460,67 +718,133 @@ bot.command('setsupport', async (ctx) => {
   await ctx.reply(`Support group bound: ${SUPPORT_GROUP_ID}`);
 });
 
-// Maintenance
-let maintenance = { on: false, note: '' };
+// Maintenance (gates new customer intake; in-flight orders keep working)
+let maintenanceTick = null;
+function fmtLocal(ms) {
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+    }).format(new Date(ms));
+  } catch { return new Date(ms).toISOString(); }
+}
 bot.command('maintenance', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
   const args = ctx.message.text.split(' ').slice(1);
   const mode = (args.shift() || '').toLowerCase();
-  if (mode === 'on')  { maintenance.on = true;  maintenance.note = args.join(' ') || ''; return ctx.reply(`✅ Maintenance ON\nNote: ${maintenance.note}`); }
-  if (mode === 'off') { maintenance.on = false; maintenance.note = '';            return ctx.reply('✅ Maintenance OFF'); }
-  return ctx.reply('Usage:\n/maintenance on <note>\n/maintenance off');
+  if (mode === 'on')  { Maintenance.setManual(true, args.join(' ')); return ctx.reply(`✅ Maintenance ON\nNote: ${Maintenance.status().note}`); }
+  if (mode === 'off') {
+    Maintenance.setManual(false);
+    if (maintenanceTick) await maintenanceTick();
+    return ctx.reply('✅ Maintenance OFF');
+  }
+  if (mode === 'at') {
+    const spec = args.shift() || '';
+    const w = Maintenance.parseWindowSpec(spec, TIMEZONE);
+    if (!w) return ctx.reply('Format:\n/maintenance at 22:00-23:30 <note>');
+    Maintenance.addWindow(w.start, w.end, args.join(' '));
+    return ctx.reply(`🗓 Maintenance scheduled: ${fmtLocal(w.start)} → ${fmtLocal(w.end)} (${TIMEZONE})`);
+  }
+  if (mode === 'clear') { Maintenance.clearWindows(); return ctx.reply('✅ Scheduled maintenance windows cleared.'); }
+  if (mode === 'status') {
+    const st = Maintenance.status();
+    const wins = Maintenance.listWindows().map(w => `• ${fmtLocal(w.start)} → ${fmtLocal(w.end)}${w.note ? ` — ${w.note}` : ''}`);
+    return ctx.reply(
+      `Maintenance: ${st.active ? 'ACTIVE' : 'off'}${st.note ? `\nNote: ${st.note}` : ''}` +
+      (st.until ? `\nUntil: ${fmtLocal(st.until)}` : '') +
+      `\nScheduled:\n${wins.length ? wins.join('\n') : '—'}`
+    );
+  }
+  return ctx.reply('Usage:\n/maintenance on <note>\n/maintenance off\n/maintenance at 22:00-23:30 <note>\n/maintenance clear\n/maintenance status');
 });
 
-// Payment text manage via messages.json (in-memory change)
+// Payment instructions per registry method (features.payments.methods; in-memory change)
 const waitFor = new Map();
+function askPayText(ctx, id) {
+  const m = Payments.byId(id);
+  if (!m) return ctx.reply(`Unknown payment method "${id}". Known: ${Payments.all().map(x => x.id).join(', ')}`);
+  waitFor.set(ctx.chat.id, m.id);
+  return ctx.reply(`Send the new ${m.label} instructions as your next message ({TOTAL} = amount). (To persist, edit features.json payments)`);
+}
+bot.command('setpay', async (ctx) => {
+  if (!isOwner(ctx) || !isPrivate(ctx)) return;
+  const id = ctx.message.text.split(' ').slice(1).join(' ').trim();
+  if (!id) return ctx.reply(`Format:\n/setpay <method id>\nMethods: ${Payments.all().map(x => x.id).join(', ')}`);
+  return askPayText(ctx, id);
+});
 bot.command('settelebirr', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
-  waitFor.set(ctx.chat.id, 'telebirr');
-  ctx.reply('Send the new Telebirr text as your next message. (To persist, edit messages.json)');
+  return askPayText(ctx, 'telebirr');
 });
 bot.command('setbank', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
-  waitFor.set(ctx.chat.id, 'bank');
-  ctx.reply('Send the new Bank text as your next message. (To persist, edit messages.json)');
+  return askPayText(ctx, 'bank');
 });
 bot.command('getpay', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
-  ctx.reply(`Telebirr:\n${get(MSG,'customer.payment_info_telebirr')}\n\nBank:\n${get(MSG,'customer.payment_info_cbe')}`);
+  const blocks = Payments.all().map((m) => {
+    const limits = [m.minEtb ? `min ETB ${m.minEtb}` : '', m.maxEtb ? `max ETB ${m.maxEtb}` : ''].filter(Boolean).join(', ');
+    const head = `${m.enabled ? '🟢' : '⚪️'} ${m.label} (${m.id})${limits ? ` — ${limits}` : ''}${m.receiptRequired ? '' : ' — no receipt'}`;
+    const copy = m.copyValue ? `\n📋 ${m.copyValue}` : '';
+    return `${head}${copy}\n${Payments.instructionsFor(m, {}, key => get(MSG, key))}`;
+  });
+  return ctx.reply(blocks.join('\n\n') || 'No payment methods configured.');
 });
 bot.on('text', async (ctx, next) => {
   const pending = waitFor.get(ctx.chat.id);
   if (pending && isPrivate(ctx) && isOwner(ctx)) {
-    if (pending === 'telebirr') {
-      MSG.customer = MSG.customer || {};
-      MSG.customer.payment_info_telebirr = ctx.message.text.trim();
-      await ctx.reply('✅ Telebirr text updated (in-memory). Edit messages.json to persist.');
-    }
-    if (pending === 'bank') {
-      MSG.customer = MSG.customer || {};
-      MSG.customer.payment_info_cbe = ctx.message.text.trim();
-      await ctx.reply('✅ Bank text updated (in-memory). Edit messages.json to persist.');
-    }
+    Payments.setInstructions(pending, ctx.message.text.trim());
+    await ctx.reply(`✅ ${Payments.byId(pending)?.label || pending} text updated (in-memory). Edit features.json to persist.`);
     waitFor.delete(ctx.chat.id);
     return;
   }
   if (typeof next === 'function') return next();
 });
 
+// Staff replies to a force-reply prompt: the "other" rejection reason, or the amount received
+bot.on('text', async (ctx, next) => {
+  const replyTo = ctx.message?.reply_to_message?.message_id;
+  const pending = replyTo && STAFF_GROUP_ID && ctx.chat?.id === STAFF_GROUP_ID ? pendingStaffReplies.get(replyTo) : null;
+  if (!pending) return (typeof next === 'function' ? next() : undefined);
+  if (!(await canApprove(ctx))) return;
+
+  const text = String(ctx.message.text || '').trim();
+  const s = Session.getSessionByRef(pending.ref);
+  if (!s || s.ref !== pending.ref) {
+    pendingStaffReplies.delete(replyTo);
+    return ctx.reply('Order not found.').catch(()=>{});
+  }
+  const actor = actorOf(ctx, 'staff');
+
+  if (pending.kind === 'amount') {
+    const amount = parseEtbAmount(text);
+    if (!amount) return ctx.reply(t('staff.amount_received_invalid', { REF: pending.ref })).catch(()=>{});
+    pendingStaffReplies.delete(replyTo);
+    const r = await applyAmountReceived(s, amount, { review: pending.review, actor, approver: approverOf(ctx) });
+    if (!r.ok) return ctx.reply(r.message).catch(()=>{});
+    return;
+  }
+
+  if (!text) return ctx.reply(t('staff.reject_reason_prompt', { REF: pending.ref })).catch(()=>{});
+  pendingStaffReplies.delete(replyTo);
+  const r = await startRejectHold(s, { code: 'other', text }, { review: pending.review, actor });
+  if (!r.ok) return ctx.reply(r.message).catch(()=>{});
+});
+
 // ────────────────────────────────────────────────────────────────────────────────
 // Intake capture (persist to store on any strict order summary text)
+async function captureIntake(txt, ctx, orderIdHint = '') {
+  if (!txt || txt.length < 20) return;
+  if (!(isOrderSummaryStrict(txt) || /Order ID:\s*GG-/i.test(txt))) return;
+  const parsed = parseOrderFields(txt) || {};
+  const fields = mapFieldsFromSummary(parsed, txt);
+  fields.order_id = extractRef(txt) || parsed.ref || orderIdHint || '';
+  if (fields.order_id) {
+    await store.saveOrderIntake(fields, ctx).catch(e => console.warn('saveOrderIntake error:', e.message));
+  }
+}
 bot.on('text', async (ctx, next) => {
   try {
-    const txt = String(ctx.message?.text || '');
-    if (txt && txt.length >= 20) {
-      if (isOrderSummaryStrict(txt) || /Order ID:\s*GG-/i.test(txt)) {
-        const parsed = parseOrderFields(txt) || {};
-        const fields = mapFieldsFromSummary(parsed, txt);
-        fields.order_id = extractRef(txt) || parsed.ref || '';
-        if (fields.order_id) {
-          await store.saveOrderIntake(fields, ctx).catch(e => console.warn('saveOrderIntake error:', e.message));
-        }
-      }
-    }
+    await captureIntake(String(ctx.message?.text || ''), ctx);
   } catch (e) {
     console.warn('intake middleware error:', e.message);
   }
@@ -535,15 +859,16 @@ bot.command('adddriver', async (ctx) => {
   if (!raw) return ctx.reply('Format:\n/adddriver <tg_id> | <full name> | <phone>');
   const parts = raw.split('|').map(s => s.trim());
   if (parts.length < 3) return ctx.reply('Format:\n/adddriver <tg_id> | <full name> | <phone>');
-  const id = Number(parts[0]); const name = parts[1]; const phone = parts[2];
+  const id = Number(parts[0]); const name = parts[1]; const phone = normalizePhone(parts[2]);
   if (!Number.isFinite(id)) return ctx.reply('tg_id must be a number. Example:\n/adddriver 7138336029 | Abebe | +251 911111111');
+  if (!phone) return ctx.reply('Phone not recognised — use an Ethiopian (09…, +251…) or UAE (+971…) number.');
   drivers.set(id, { id, name, phone });
-  return ctx.reply(`✅ Driver added:\n• ID: ${id}\n• Name: ${name}\n• Phone: ${phone}\n\nTo persist across restarts: add them to drivers.json in the repo and deploy.`);
+  return ctx.reply(`✅ Driver added:\n• ID: ${id}\n• Name: ${name}\n• Phone: ${formatPhone(phone)}\n\nTo persist across restarts: add them to drivers.json in the repo and deploy.`);
 });
 bot.command('drivers', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
   if (drivers.size === 0) return ctx.reply('No drivers yet. Add one:\n/adddriver 7138336029 | Abebe | +251 911111111');
-  const list = [...drivers.values()].map(d => `• ${d.name} — ${d.phone} (id ${d.id})`).join('\n');
+  const list = [...drivers.values()].map(d => `• ${d.name} — ${formatPhone(d.phone)} (id ${d.id})`).join('\n');
   return ctx.reply(`Drivers:\n${list}`);
 });
 bot.command('removedriver', async (ctx) => {
@@ -571,6 +896,38 @@ bot.command('drivers_export', async (ctx) => {
   return ctx.reply(json);
 });
 
+// ────────────────────────────────────────────────────────────────────────────────
+// Product catalog (owner-only) — prices that parsed orders are checked against
+const CATALOG_USAGE = 'Usage:\n/catalog\n/catalog set <roast> | <type> | <size_g> | <price> [| name]\n/catalog on|off|del <roast> | <type> | <size_g>';
+function fmtProduct(p) {
+  return `• ${p.name || `${p.roast} ${p.type} ${p.size_g}g`} — ETB ${p.price}${p.active ? '' : ' (inactive)'}\n   ${p.roast} | ${p.type} | ${p.size_g}`;
+}
+bot.command('catalog', async (ctx) => {
+  if (!isOwner(ctx) || !isPrivate(ctx)) return;
+  const raw = ctx.message.text.split(' ').slice(1).join(' ').trim();
+  const mode = (raw.split(/\s+/)[0] || 'list').toLowerCase();
+  const parts = raw.slice(mode.length).split('|').map(x => x.trim());
+  const item = { roast: parts[0], type: parts[1], size_g: parts[2] };
+
+  if (mode === 'list') {
+    const rows = Catalog.list();
+    return ctx.reply(rows.length ? `Catalog:\n${rows.map(fmtProduct).join('\n')}` : `Catalog is empty — orders are not price-checked.\n\n${CATALOG_USAGE}`);
+  }
+  if (mode === 'set') {
+    const row = Catalog.upsert({ ...item, price: parts[3], name: parts[4] || '' });
+    if (!row) return ctx.reply(`Format:\n/catalog set Medium | Beans | 500 | 1200 | House Medium 500g`);
+    return ctx.reply(`✅ Saved:\n${fmtProduct(row)}`);
+  }
+  if (mode === 'on' || mode === 'off') {
+    const row = Catalog.setActive(item, mode === 'on');
+    return ctx.reply(row ? `✅ ${mode === 'on' ? 'Activated' : 'Deactivated'}:\n${fmtProduct(row)}` : 'No such product.');
+  }
+  if (mode === 'del') {
+    return ctx.reply(Catalog.remove(item) ? '✅ Product removed.' : 'No such product.');
+  }
+  return ctx.reply(CATALOG_USAGE);
+});
+
 // ────────────────────────────────────────────────────────────────────────────────
 // ✅ Creator account creation (owner-only)
 // /addcreator CODE PASSWORD
@@ -589,13 +946,63 @@ bot.command('addcreator', async (ctx) => {
   }
 });
 
+// Staff: /parse (reply to a message) → parser diagnostics; without a reply → intake rejection stats
+function formatParseReport(r) {
+  const pct = Math.round(r.confidence * 100);
+  const verdict = r.accepted
+    ? `✅ Order (score ${r.score}/${r.anchors.length}, needs ${r.threshold}, confidence ${pct}%)`
+    : `❌ Rejected: ${r.reason}` + (r.reason === 'too_short' ? ` (${r.length} < ${r.minTextLength} chars)` : ` (score ${r.score}, needs ${r.threshold})`);
+  const source = r.source === 'signed' ? '🔏 signed block (verified)'
+    : (r.signedStatus && r.signedStatus !== 'no_block' ? `text — signed block rejected: ${r.signedStatus}` : 'text');
+  const anchors = r.anchors.map(a => `${a.matched ? '✅' : '▫️'} ${a.name}`).join('  ');
+  const fields = Object.entries(r.fields).map(([k, v]) =>
+    `• ${k} = ${v.value} [${v.method}]${v.line && v.line !== String(v.value) ? `\n   ↳ ${v.line.slice(0, 120)}` : ''}`);
+  const items = r.items.map((it, i) =>
+    `${i + 1}. ${Catalog.displayName(it) || '?'} × ${it.qty || '?'} @ ETB ${it.unit_price || '?'} = ETB ${it.line_total || '?'}`);
+  return [
+    '🔎 Parse report',
+    verdict,
+    `Source: ${source} | mode: ${r.strictMode ? 'strict' : 'loose'} | length ${r.length}`,
+    `Anchors: ${anchors}`,
+    `Fields:\n${fields.length ? fields.join('\n') : '—'}`,
+    `Items (${items.length}):\n${items.length ? items.join('\n') : '—'}`
+  ].join('\n\n');
+}
+bot.command('parse', async (ctx) => {
+  const inStaff = isGroup(ctx) && STAFF_GROUP_ID && ctx.chat.id === STAFF_GROUP_ID;
+  if (!inStaff && !(isOwner(ctx) && isPrivate(ctx))) return;
+
+  const target = ctx.message.reply_to_message;
+  if (!target) {
+    const st = IntakeLog.summary();
+    const reasons = Object.entries(st.byReason).map(([k, v]) => `${k}: ${v}`).join(', ') || '—';
+    const scores = Object.entries(st.byScore).map(([k, v]) => `${k}→${v}`).join(', ') || '—';
+    return ctx.reply(
+      `Reply to a message with /parse to see how it parses.\n\n` +
+      `Rejected intakes (last ${st.count}): ${reasons}\nBy anchor score: ${scores}\n` +
+      `Current: minTextLength=${FEATURES.intake.minTextLength}, strictMode=${!!FEATURES.intake.strictMode}`
+    );
+  }
+  const text = String(target.text || target.caption || '');
+  if (!text) return ctx.reply('That message has no text to parse.');
+
+  const report = diagnoseOrder(text, { strictMode: !!FEATURES.intake.strictMode, minTextLength: FEATURES.intake.minTextLength });
+  const out = formatParseReport(report);
+  const chunks = out.match(/[\s\S]{1,3800}/g) || [out];
+  for (const part of chunks) {
+    // eslint-disable-next-line no-await-in-loop
+    await ctx.reply(part, { reply_to_message_id: target.message_id }).catch(()=>{});
+  }
+});
+
 // Owner: revert & force-approve
 bot.command('revert', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
   const ref = (ctx.message.text.split(' ')[1] || '').trim();
   const s = Session.getSessionByRef(ref);
   if (!s) return ctx.reply('Ref not found.');
-  s.status = 'AWAITING_RECEIPT';
+  OrderState.transition(s, 'AWAITING_RECEIPT', { actor: actorOf(ctx, 'owner'), reason: 'revert', force: true });
+  clearHoldTimers(s);
   s.assigned_driver_id = null; s.giveupUntil = null;
   clearDriverTimer(s);
   s.createdAt = Date.now();
@@ -606,8 +1013,10 @@ bot.command('forceapprove', async (ctx) => {
   const ref = (ctx.message.text.split(' ')[1] || '').trim();
   const s = Session.getSessionByRef(ref);
   if (!s) return ctx.reply('Ref not found.');
-  s.status = 'APPROVED_HOLD'; s.approvalTimer = null;
-  await finalizeApproval(s);
+  OrderState.transition(s, 'APPROVED_HOLD', { actor: actorOf(ctx, 'owner'), reason: 'forceapprove', force: true });
+  s.approvers = [...(Array.isArray(s.approvers) ? s.approvers : []), approverOf(ctx)];
+  s.approvalTimer = null;
+  await finalizeApproval(s, actorOf(ctx, 'owner'));
   return ctx.reply(`✅ Forced approval for ${ref}.`);
 });
 
@@ -620,13 +1029,33 @@ bot.command('unassign', async (ctx) => {
   if (!s) return ctx.reply('Ref not found.');
   if (!s.assigned_driver_id) return ctx.reply('No driver assigned.');
   const quitterId = s.assigned_driver_id;
-  s.assigned_driver_id = null; s.status = 'DISPATCHING'; s.giveupUntil = null;
+  const moved = OrderState.transition(s, 'DISPATCHING', { actor: actorOf(ctx, 'owner'), reason: 'unassign' });
+  if (!moved.ok) return ctx.reply(`Can't unassign ${ref} while ${s.status}.`);
+  s.assigned_driver_id = null; s.giveupUntil = null;
   if (STAFF_GROUP_ID) await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.driver_canceled_rebroadcast', { REF: s.ref, USER_ID: quitterId })).catch(()=>{});
   await broadcastToDrivers(s, quitterId);
   setDriverTimer(s.ref);
   return ctx.reply(`Re-broadcasted ${ref} (excluding ${quitterId}).`);
 });
 
+// Staff: abandoned carts (orders lapsed after payment reminders)
+bot.command('abandoned', async (ctx) => {
+  if (!isOwner(ctx) && !(isGroup(ctx) && ctx.chat.id === STAFF_GROUP_ID)) return;
+  const days = Number((ctx.message.text.split(' ')[1] || '').trim()) || 7;
+  const r = await store.abandonedReport({ days });
+  if (!r.count) return ctx.reply(`No abandoned orders in the last ${r.days} day(s).`);
+  const steps = Object.entries(r.by_step).map(([k, n]) => `${k === 'AWAITING_PAYMENT' ? 'no method picked' : k === 'AWAITING_RECEIPT' ? 'no receipt' : k}: ${n}`).join(', ');
+  const lines = r.rows.map(o =>
+    `• ${o.order_id} — ${o.customer_name || '—'}${o.phone ? ` ${formatPhone(o.phone)}` : ''} — ETB ${o.total} — ${fmtLocal(Date.parse(o.abandoned_at))}`);
+  return ctx.reply([
+    `🛒 Abandoned orders — last ${r.days} day(s)`,
+    `${r.count} of ${r.created} orders (${Math.round(r.rate * 100)}%), ETB ${r.value_etb} total`,
+    steps,
+    '',
+    ...lines
+  ].join('\n').slice(0, 4000));
+});
+
 // Config exports & reloads
 bot.command('config_export', async (ctx) => {
   if (!isOwner(ctx) || !isPrivate(ctx)) return;
@@ -647,6 +1076,20 @@ bot.command('reload_texts', async (ctx) => {
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Callback handlers
+
+// Expired keyboards: answer clearly and never let the late tap reach an order handler
+bot.on('callback_query', async (ctx, next) => {
+  const m = ctx.callbackQuery?.message;
+  if (m && Buttons.isExpired(m.chat.id, m.message_id)) {
+    await Buttons.expireNow(m.chat.id, m.message_id).catch(()=>{});
+    return ctx.answerCbQuery(
+      get(MSG,'errors.buttons_expired') || '⏳ These buttons have expired.',
+      { show_alert: true }
+    ).catch(()=>{});
+  }
+  return next();
+});
+
 bot.on('callback_query', async (ctx, next) => {
   try {
     const data = String(ctx.callbackQuery.data || '');
@@ -659,6 +1102,7 @@ bot.on('callback_query', async (ctx, next) => {
       const msg = ctx.update.callback_query.message;
       const claimed = ((msg.text || '') + `\n` + t('support.claimed_suffix', { CLAIMER_NAME: who })).trim();
       await ctx.telegram.editMessageText(SUPPORT_GROUP_ID, msg.message_id, undefined, claimed).catch(()=>{});
+      releaseKb(SUPPORT_GROUP_ID, msg.message_id);
       await bot.telegram.sendMessage(customerId, t('support.customer_claim_dm', { SUPPORT_PHONE })).catch(()=>{});
       return ctx.answerCbQuery('Claimed.');
     }
@@ -674,20 +1118,20 @@ bot.on('callback_query', async (ctx, next) => {
         const ref = data.split(':')[1];
         const s = Session.getSessionByRef(ref);
         if (!s || (s.status !== 'APPROVED_HOLD' && s.status !== 'REJECTED_HOLD')) return ctx.answerCbQuery('Nothing to undo.');
-        if (s.approvalTimer) { clearTimeout(s.approvalTimer); s.approvalTimer = null; }
-        if (s.rejectTimer)   { clearTimeout(s.rejectTimer);   s.rejectTimer   = null; }
+        clearHoldTimers(s);
         const wasRejectHold = (s.status === 'REJECTED_HOLD');
-        s.status = 'AWAITING_RECEIPT';
+        OrderState.transition(s, 'AWAITING_RECEIPT', { actor: actorOf(ctx, 'staff'), reason: wasRejectHold ? 'undo_reject' : 'undo_approve' });
+        s.rejectReason = null;
+        s.approvers = [];
+        s.awaitingSecondApproval = false;
+        if (!wasRejectHold && dropApprovalPayments(s)) await savePaymentAmounts(s);
         s.assigned_driver_id = null; s.giveupUntil = null;
         s.createdAt = Date.now();
         if (s.holdMsgId) {
           await bot.telegram.editMessageText(STAFF_GROUP_ID, s.holdMsgId, undefined, t('staff.approval_undone_message', { REF: s.ref })).catch(()=>{});
+          releaseKb(STAFF_GROUP_ID, s.holdMsgId);
         }
-        const reKb = Markup.inlineKeyboard([
-          [Markup.button.callback(get(MSG,'buttons.approve') || 'Approve', `approve:${s._customerId || '0'}:${s.ref}`),
-           Markup.button.callback(get(MSG,'buttons.reject')  || 'Reject',  `reject:${s._customerId || '0'}:${s.ref}`)]
-        ]);
-        await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.re_review_prompt', { REF: s.ref }), reKb);
+        trackKb(await bot.telegram.sendMessage(STAFF_GROUP_ID, `${t('staff.re_review_prompt', { REF: s.ref })}\n${amountLine(s)}`, reviewKb(s._customerId, s.ref)), 'review');
         return ctx.answerCbQuery(wasRejectHold ? 'Rejection undone.' : 'Approval undone.');
       }
 
@@ -702,73 +1146,120 @@ bot.on('callback_query', async (ctx, next) => {
       }
       if (uid && !s._customerId) s._customerId = uid;
 
-      if (verb === 'approve') {
-        s.status = 'APPROVED_HOLD';
-        await ctx.editMessageCaption({ caption: t('staff.approved_on_hold_caption', { REF: s.ref }) }).catch(()=>{});
-        const holdMsg = await ctx.telegram.sendMessage(
-          STAFF_GROUP_ID,
-          t('staff.approved_hold_message', { REF: s.ref }),
-          Markup.inlineKeyboard([[Markup.button.callback(get(MSG,'buttons.undo_hold') || 'Undo (60s)', `undo:${s.ref}`)]])
-        );
-        s.holdMsgId = holdMsg.message_id;
-        s.approvalTimer = setTimeout(async () => {
-          const fresh = Session.getSessionByRef(ref);
-          if (!fresh || fresh.status !== 'APPROVED_HOLD') return;
-          await finalizeApproval(fresh).catch(()=>{});
-        }, HOLD_SECONDS * 1000);
-        return ctx.answerCbQuery('Approved (on hold).');
+      // Reject asks for a reason first (rejr: / rejback: below)
+      if (verb === 'reject') {
+        if (s.status === 'REJECTED_HOLD') return ctx.answerCbQuery('Already rejected (on hold).');
+        if (!OrderState.canTransition(s.status, 'REJECTED_HOLD')) return ctx.answerCbQuery(`Can't reject — order is ${s.status}.`);
+        await ctx.editMessageReplyMarkup(rejectReasonKb(uid, ref).reply_markup).catch(()=>{});
+        return ctx.answerCbQuery('Pick a reason.');
       }
 
-      // reject (ON HOLD with UNDO)
-      s.status = 'REJECTED_HOLD';
+      if (s.status === 'APPROVED_HOLD') return ctx.answerCbQuery('Already approved (on hold).');
+      if (!OrderState.canTransition(s.status, 'APPROVED_HOLD')) return ctx.answerCbQuery(`Can't ${verb} — order is ${s.status}.`);
+      if (s.outOfZone) return ctx.answerCbQuery('Delivery point is outside every zone — support has this order.');
+      // Approving a balance receipt settles whatever was still owed
+      const actor = actorOf(ctx, 'staff');
+      if (paymentStatusOf(s) === 'partial') {
+        recordPayment(s, balanceOf(s), { by: actor, via: 'approve', approval: true });
+        await savePaymentAmounts(s);
+      }
+      const r = await startApproveHold(s, { review: reviewPostRef(ctx.callbackQuery.message), actor, reason: verb, approver: approverOf(ctx) });
+      if (!r.ok) {
+        if (dropApprovalPayments(s)) await savePaymentAmounts(s);
+        return ctx.answerCbQuery(r.message);
+      }
+      return ctx.answerCbQuery(approvalComplete(s) ? 'Approved (on hold).' : 'Approved — a second approver must sign off.');
+    }
+
+    // Second sign-off on a high-value approval (different approver, or an owner)
+    if (data.startsWith('approve2:')) {
+      if (!isOwner(ctx)) {
+        if (!isGroup(ctx) || !STAFF_GROUP_ID || ctx.chat.id !== STAFF_GROUP_ID) return ctx.answerCbQuery('Use inside staff group.');
+        if (!(await canApprove(ctx))) return ctx.answerCbQuery('Not authorized.');
+      }
+      const ref = data.split(':')[1];
+      const s = Session.getSessionByRef(ref);
+      if (!s || s.status !== 'APPROVED_HOLD') return ctx.answerCbQuery('Nothing to sign off.');
+      if (approvalComplete(s)) return ctx.answerCbQuery('Already fully approved.');
+
+      const approver = approverOf(ctx);
+      s.approvers = Array.isArray(s.approvers) ? s.approvers : [];
+      if (!approver.owner && s.approvers.some(x => x.id === approver.id)) {
+        return ctx.answerCbQuery('You already signed off — a different approver is needed.', { show_alert: true });
+      }
+      s.approvers.push(approver);
+      Session.schedulePersist();
 
-      // Update the receipt caption so staff sees it's on hold
-      await ctx.editMessageCaption({
-        caption: `❌ Rejected (on hold ${HOLD_SECONDS}s) — ${s.ref}`
-      }).catch(()=>{});
+      await ctx.editMessageText(holdText(s), holdKb(s)).catch(()=>{});
+      // Hold already over: dispatch now; otherwise the hold timer does it
+      if (!s.approvalTimer) await finalizeApproval(s, actorOf(ctx, approver.owner ? 'owner' : 'staff'));
+      return ctx.answerCbQuery('Signed off.');
+    }
 
-      // Send hold message with Undo button (same undo:<ref>)
-      const holdMsg = await ctx.telegram.sendMessage(
+    // Amount received: staff type what the receipt actually shows
+    if (data.startsWith('amt:')) {
+      if (!isGroup(ctx) || !STAFF_GROUP_ID || ctx.chat.id !== STAFF_GROUP_ID) return ctx.answerCbQuery('Use inside staff group.');
+      if (!(await canApprove(ctx))) return ctx.answerCbQuery('Not authorized.');
+      const [, userIdStr, ref] = data.split(':');
+      const uid = Number(userIdStr);
+      const s = Session.getSessionByRef(ref);
+      if (!s || s.ref !== ref) return ctx.answerCbQuery('Order not found.');
+      if (uid && !s._customerId) s._customerId = uid;
+      if (!OrderState.canTransition(s.status, 'PARTIALLY_PAID')) return ctx.answerCbQuery(`Can't record a payment — order is ${s.status}.`);
+
+      const review = reviewPostRef(ctx.callbackQuery.message);
+      const prompt = await ctx.telegram.sendMessage(
         STAFF_GROUP_ID,
-        `❌ Rejection on hold for ${HOLD_SECONDS}s — ${s.ref}\nTap Undo if this was a mistake.`,
-        Markup.inlineKeyboard([
-          [Markup.button.callback(get(MSG,'buttons.undo_hold') || `Undo (${HOLD_SECONDS}s)`, `undo:${s.ref}`)]
-        ])
+        t('staff.amount_received_prompt', { REF: ref, DUE: amountDue(s), PAID: Number(s.amountPaid) || 0, BALANCE: balanceOf(s) }),
+        { reply_markup: { force_reply: true, selective: true }, reply_to_message_id: review.messageId }
       );
-      s.holdMsgId = holdMsg.message_id;
+      pendingStaffReplies.set(prompt.message_id, { kind: 'amount', uid, ref, review });
+      return ctx.answerCbQuery('Reply with the amount.');
+    }
 
-      // Finalize rejection after hold time if not undone
-      s.rejectTimer = setTimeout(async () => {
-        const fresh = Session.getSessionByRef(ref);
-        if (!fresh || fresh.status !== 'REJECTED_HOLD') return;
+    // Owner: dispatch a partially paid order anyway (balance collected later / on delivery)
+    if (data.startsWith('ovr:')) {
+      if (!isOwner(ctx)) return ctx.answerCbQuery('Owner only.');
+      const ref = data.split(':')[1];
+      const s = Session.getSessionByRef(ref);
+      if (!s || s.status !== 'PARTIALLY_PAID') return ctx.answerCbQuery('Nothing to override.');
+      const actor = actorOf(ctx, 'owner');
+      s.balanceOverride = { by: actor, at: new Date().toISOString() };
+      const m = ctx.callbackQuery.message;
+      await ctx.editMessageText(`${m?.text || ''}\n${t('staff.balance_override_line', { BALANCE: balanceOf(s) })}`).catch(()=>{});
+      releaseKb(m?.chat?.id, m?.message_id);
+      const r = await startApproveHold(s, { actor, reason: 'balance_override', approver: approverOf(ctx) });
+      return ctx.answerCbQuery(r.ok ? 'Approved (on hold).' : r.message);
+    }
 
-        fresh.status = 'REJECTED';
+    // Rejection reason picked (or Back to approve/reject)
+    if (data.startsWith('rejr:') || data.startsWith('rejback:')) {
+      if (!isGroup(ctx) || !STAFF_GROUP_ID || ctx.chat.id !== STAFF_GROUP_ID) return ctx.answerCbQuery('Use inside staff group.');
+      if (!(await canApprove(ctx))) return ctx.answerCbQuery('Not authorized.');
+      const [verb, userIdStr, ref, code] = data.split(':');
+      const uid = Number(userIdStr);
+      const s = Session.getSessionByRef(ref);
+      if (!s || s.ref !== ref) return ctx.answerCbQuery('Order not found.');
 
-        // customer + staff final notice
-        if (uid) await bot.telegram.sendMessage(
-          uid,
-          t('customer.payment_rejected', { REF: fresh.ref, SUPPORT_PHONE })
-        ).catch(()=>{});
+      if (verb === 'rejback') {
+        await ctx.editMessageReplyMarkup(reviewKb(uid, ref).reply_markup).catch(()=>{});
+        return ctx.answerCbQuery();
+      }
+      if (!REJECT_REASONS.includes(code)) return ctx.answerCbQuery('Unknown reason.');
 
-        await bot.telegram.sendMessage(
+      const review = reviewPostRef(ctx.callbackQuery.message);
+      if (code === 'other') {
+        const prompt = await ctx.telegram.sendMessage(
           STAFF_GROUP_ID,
-          t('staff.rejected_notice', { REF: fresh.ref })
-        ).catch(()=>{});
-
-        // mark hold message as final
-        if (fresh.holdMsgId) {
-          await bot.telegram.editMessageText(
-            STAFF_GROUP_ID,
-            fresh.holdMsgId,
-            undefined,
-            `❌ Rejected (final) — ${fresh.ref}`
-          ).catch(()=>{});
-        }
-
-        fresh.rejectTimer = null;
-      }, HOLD_SECONDS * 1000);
+          t('staff.reject_reason_prompt', { REF: ref }),
+          { reply_markup: { force_reply: true, selective: true }, reply_to_message_id: review.messageId }
+        );
+        pendingStaffReplies.set(prompt.message_id, { kind: 'reject_note', uid, ref, review });
+        return ctx.answerCbQuery('Reply with the reason.');
+      }
 
-      return ctx.answerCbQuery('Rejected (on hold).');
+      const r = await startRejectHold(s, { code }, { review, actor: actorOf(ctx, 'staff') });
+      return ctx.answerCbQuery(r.ok ? 'Rejected (on hold).' : r.message);
     }
 
     // Driver accept/decline
@@ -787,8 +1278,9 @@ bot.on('callback_query', async (ctx, next) => {
               : (get(MSG,'driver.accept_already_assigned') || 'Already assigned.')
           );
         }
+        const moved = OrderState.transition(s, 'ASSIGNED', { actor: actorOf(ctx, 'driver'), reason: 'accept' });
+        if (!moved.ok) return ctx.answerCbQuery('This job is no longer available.');
         s.assigned_driver_id = ctx.from.id;
-        s.status = 'ASSIGNED';
         s.giveupUntil = Date.now() + GIVEUP_MS;
         clearDriverTimer(s);
 
@@ -802,11 +1294,9 @@ bot.on('callback_query', async (ctx, next) => {
         ]);
 
         const f = parseOrderFields(s.summary || '');
-        const mapLine = f.map && f.map !== '—' ? t('driver.broadcast_map_line_am', { MAP_URL: f.map }) : '';
-        let assignedCard = t('driver.assigned_card_am', {
-          REF: s.ref, QTY: f.qty, AREA: f.area, TOTAL: f.total, DELIVERY_FEE: f.delivery, MAP_LINE: mapLine
-        });
-        if (f.phone) assignedCard += `\n📞 ${f.phone}`;
+        let assignedCard = t('driver.assigned_card_am', driverCardVars(s, f));
+        assignedCard += itemsLine(f);
+        if (f.phone) assignedCard += `\n📞 ${formatPhone(f.phone)}`;
 
         await ctx.reply(assignedCard, driverActions);
         await ctx.answerCbQuery('Assigned to you.');
@@ -830,7 +1320,10 @@ bot.on('callback_query', async (ctx, next) => {
       if (data.startsWith('drv_giveup:')) {
         if (!s.giveupUntil || Date.now() > s.giveupUntil) return ctx.answerCbQuery(get(MSG,'driver.giveup_too_late') || 'Too late.');
         const quitterId = s.assigned_driver_id;
-        s.assigned_driver_id = null; s.status = 'DISPATCHING'; s.giveupUntil = null;
+        if (!OrderState.transition(s, 'DISPATCHING', { actor: actorOf(ctx, 'driver'), reason: 'giveup' }).ok) {
+          return ctx.answerCbQuery(get(MSG,'driver.giveup_too_late') || 'Too late.');
+        }
+        s.assigned_driver_id = null; s.giveupUntil = null;
         await ctx.answerCbQuery(get(MSG,'driver.giveup_ok') || 'Given up.');
         await openUndoPrompt(s.ref, 'giveup', ctx.from.id, 'እተዋለሁ');
         scheduleGiveupEffects(s.ref, quitterId);
@@ -838,14 +1331,18 @@ bot.on('callback_query', async (ctx, next) => {
       }
 
       if (data.startsWith('drv_picked:')) {
-        s.status = 'OUT_FOR_DELIVERY';
+        const moved = OrderState.transition(s, 'OUT_FOR_DELIVERY', { actor: actorOf(ctx, 'driver'), reason: 'picked' });
+        if (!moved.ok) return ctx.answerCbQuery(`Not possible — order is ${s.status}.`);
+        if (!moved.changed) return ctx.answerCbQuery(get(MSG,'driver.picked_marked') || 'Picked.');
         await ctx.answerCbQuery(get(MSG,'driver.picked_marked') || 'Picked.');
         await openUndoPrompt(s.ref, 'picked', ctx.from.id, 'ተነሳ');
         schedulePickedEffects(s.ref, ctx.from.id);
         return;
       }
 
-      s.status = 'DELIVERED';
+      const moved = OrderState.transition(s, 'DELIVERED', { actor: actorOf(ctx, 'driver'), reason: 'delivered' });
+      if (!moved.ok) return ctx.answerCbQuery(`Not possible — order is ${s.status}.`);
+      if (!moved.changed) return ctx.answerCbQuery(get(MSG,'driver.delivered_marked') || 'Delivered.');
       await ctx.answerCbQuery(get(MSG,'driver.delivered_marked') || 'Delivered.');
       await openUndoPrompt(s.ref, 'delivered', ctx.from.id, 'ተደረሰ');
       scheduleDeliveredEffects(s.ref, ctx.from.id);
@@ -868,8 +1365,8 @@ bot.on('callback_query', async (ctx, next) => {
 
       if (action === 'accept') {
         if (s.assigned_driver_id !== driverId || s.status !== 'ASSIGNED') { await ctx.answerCbQuery('Nothing to undo.'); return; }
+        OrderState.transition(s, 'DISPATCHING', { actor: actorOf(ctx, 'driver'), reason: 'undo_accept' });
         s.assigned_driver_id = null;
-        s.status = 'DISPATCHING';
         s.giveupUntil = null;
         await ctx.answerCbQuery('Undone. Choose again.');
         await showAcceptDeclineToDriver(s, driverId);
@@ -877,22 +1374,22 @@ bot.on('callback_query', async (ctx, next) => {
       }
       if (action === 'picked') {
         if (s.status !== 'OUT_FOR_DELIVERY') { await ctx.answerCbQuery('Nothing to undo.'); return; }
-        s.status = 'ASSIGNED';
+        OrderState.transition(s, 'ASSIGNED', { actor: actorOf(ctx, 'driver'), reason: 'undo_picked' });
         await ctx.answerCbQuery('Picked → undone.');
         await showDriverActions(ref, driverId);
         return;
       }
       if (action === 'delivered') {
         if (s.status !== 'DELIVERED') { await ctx.answerCbQuery('Nothing to undo.'); return; }
-        s.status = 'OUT_FOR_DELIVERY';
+        OrderState.transition(s, 'OUT_FOR_DELIVERY', { actor: actorOf(ctx, 'driver'), reason: 'undo_delivered' });
         await ctx.answerCbQuery('Delivered → undone.');
         await showDriverActions(ref, driverId);
         return;
       }
       if (action === 'giveup') {
         if (s.status !== 'DISPATCHING' || s.assigned_driver_id) { await ctx.answerCbQuery('Nothing to undo.'); return; }
+        OrderState.transition(s, 'ASSIGNED', { actor: actorOf(ctx, 'driver'), reason: 'undo_giveup' });
         s.assigned_driver_id = driverId;
-        s.status = 'ASSIGNED';
         s.giveupUntil = Date.now() + (typeof GIVEUP_MS === 'number' ? GIVEUP_MS : 120000);
         await ctx.answerCbQuery('Give up → undone.');
         await showDriverActions(ref, driverId);
@@ -900,6 +1397,45 @@ bot.on('callback_query', async (ctx, next) => {
       }
     }
 
+    // Customer confirms / keeps the order after /cancel
+    if (data.startsWith('cancel:')) {
+      const [, yn, ref] = data.split(':');
+      const s = Session.getSessionByRef(ref);
+      releaseKb(ctx.callbackQuery.message?.chat?.id, ctx.callbackQuery.message?.message_id);
+      if (!s || s._customerId !== ctx.from.id) {
+        await ctx.editMessageText(t('customer.cancel_none')).catch(()=>{});
+        return ctx.answerCbQuery();
+      }
+      if (yn !== 'yes') {
+        await ctx.editMessageText(t('customer.cancel_kept', { REF: ref })).catch(()=>{});
+        return ctx.answerCbQuery('Okay.');
+      }
+      if (receiptUnderReview(s) || !canCustomerCancel(s)) {
+        const key = receiptUnderReview(s) ? 'customer.cancel_under_review' : 'customer.cancel_too_late';
+        await ctx.editMessageText(t(key, { REF: ref, SUPPORT_PHONE })).catch(()=>{});
+        return ctx.answerCbQuery();
+      }
+      const r = await cancelOrder(s, { actor: actorOf(ctx, 'customer') });
+      if (!r.ok) return ctx.answerCbQuery('Could not cancel — please contact support.');
+      const done = t('customer.cancel_done', { REF: ref });
+      await ctx.editMessageText(r.refund ? `${done}\n${t('customer.cancel_refund_note', { AMOUNT: r.refund })}` : done).catch(()=>{});
+      return ctx.answerCbQuery('Cancelled.');
+    }
+
+    // Staff confirm a refund from a cancellation task
+    if (data.startsWith('refunded:')) {
+      if (!isGroup(ctx) || !STAFF_GROUP_ID || ctx.chat.id !== STAFF_GROUP_ID) return ctx.answerCbQuery('Use inside staff group.');
+      if (!(await canApprove(ctx))) return ctx.answerCbQuery('Not authorized.');
+      const [, uidStr, orderId] = data.split(':');
+      const who = `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim() || `id ${ctx.from.id}`;
+      await store.saveRefund(orderId, { status: 'refunded', by: actorOf(ctx, 'staff') });
+      const m = ctx.callbackQuery.message;
+      await ctx.editMessageText(`${m?.text || ''}\n${t('staff.refund_done_line', { NAME: who, WHEN: fmtLocal(Date.now()) })}`).catch(()=>{});
+      const uid = Number(uidStr);
+      if (uid) await bot.telegram.sendMessage(uid, t('customer.refund_sent', { REF: orderId })).catch(()=>{});
+      return ctx.answerCbQuery('Marked refunded.');
+    }
+
     if (typeof next === 'function') return next();
   } catch (e) {
     console.error('callback_query error', e);
@@ -907,14 +1443,213 @@ bot.on('callback_query', async (ctx, next) => {
   }
 });
 
+// ────────────────────────────────────────────────────────────────────────────────
+// Hold timers (approve/reject). Due times are stamped on the session so a restart can re-arm them.
+function armApprovalTimer(s, delayMs = HOLD_SECONDS * 1000) {
+  const ref = s.ref;
+  if (s.approvalTimer) clearTimeout(s.approvalTimer);
+  s.approvalDueAt = Date.now() + delayMs;
+  s.approvalTimer = setTimeout(async () => {
+    const fresh = Session.getSessionByRef(ref);
+    if (!fresh || fresh.status !== 'APPROVED_HOLD') return;
+    await finalizeApproval(fresh).catch(()=>{});
+  }, delayMs);
+  Session.schedulePersist();
+}
+// APPROVED_HOLD; finalizeApproval dispatches after the hold unless undone
+async function startApproveHold(s, { review = null, actor = 'staff', reason = 'approve', approver = null } = {}) {
+  if (s.outOfZone) return { ok: false, message: 'Delivery point is outside every zone — support has this order.' };
+  const moved = OrderState.transition(s, 'APPROVED_HOLD', { actor, reason });
+  if (!moved.ok) return { ok: false, message: `Can't approve — order is ${s.status}.` };
+  if (!moved.changed) return { ok: false, message: 'Already approved (on hold).' };
+  s.approvers = approver ? [approver] : [];
+
+  await editReviewPost(review, `${t('staff.approved_on_hold_caption', { REF: s.ref })}\n${amountLine(s)}`)
+    .then(() => review && releaseKb(review.chatId, review.messageId)).catch(()=>{});
+  const holdMsg = await bot.telegram.sendMessage(STAFF_GROUP_ID, holdText(s), holdKb(s));
+  // finalize edits it first; grace covers slow finalizes. While a second sign-off is missing the
+  // buttons aren't TTL-tracked: the order waits on them, and finalize/undo replace them anyway.
+  if (approvalComplete(s)) trackKb(holdMsg, 'undo_hold', HOLD_SECONDS + 30);
+  s.holdMsgId = holdMsg.message_id;
+  armApprovalTimer(s);
+  return { ok: true };
+}
+
+// Staff entered what the receipt shows: short → PARTIALLY_PAID + balance request; enough → approve (surplus is a credit)
+async function applyAmountReceived(s, amount, { review = null, actor = 'staff', approver = null } = {}) {
+  if (!OrderState.canTransition(s.status, 'PARTIALLY_PAID')) return { ok: false, message: `Can't record a payment — order is ${s.status}.` };
+  const before = balanceOf(s);
+  const tol = Number(FEATURES.pricing?.toleranceEtb ?? 1);
+  // Enough to approve: the payment goes with the approval (an Undo takes it back out)
+  recordPayment(s, amount, { by: actor, approval: before - amount <= tol });
+  await savePaymentAmounts(s);
+  const vars = { REF: s.ref, AMOUNT: amount, PAID: s.amountPaid, DUE: amountDue(s), BALANCE: balanceOf(s), CREDIT: s.creditEtb };
+
+  if (paymentStatusOf(s) === 'partial') {
+    OrderState.transition(s, 'PARTIALLY_PAID', { actor, reason: `partial:${amount}` });
+    await store.savePaymentStatus(ensureCanonRef(s), 'partial').catch(e => console.warn('savePaymentStatus error:', e.message));
+    await editReviewPost(review, t('staff.partial_caption', vars))
+      .then(() => review && releaseKb(review.chatId, review.messageId)).catch(()=>{});
+    trackKb(await bot.telegram.sendMessage(
+      STAFF_GROUP_ID,
+      t('staff.partial_notice', vars),
+      Markup.inlineKeyboard([[Markup.button.callback(get(MSG,'buttons.balance_override') || 'Dispatch anyway (owner)', `ovr:${s.ref}`)]])
+    ), 'partial');
+    if (customerFlow) await customerFlow.sendBalanceRequest(s).catch(e => console.warn('balance request error:', e.message));
+    return { ok: true };
+  }
+
+  const r = await startApproveHold(s, { review, actor, reason: `paid:${amount}`, approver });
+  if (!r.ok) {
+    if (dropApprovalPayments(s)) await savePaymentAmounts(s);
+    return r;
+  }
+  if (s.creditEtb) {
+    await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.overpaid_notice', vars)).catch(()=>{});
+    if (s._customerId) await bot.telegram.sendMessage(s._customerId, t('customer.overpaid_credit', vars)).catch(()=>{});
+  }
+  return r;
+}
+
+// REJECTED_HOLD with the staff-picked reason; finalizeRejection runs after the hold unless undone
+async function startRejectHold(s, { code, text = '' }, { review = null, actor = 'staff' } = {}) {
+  const moved = OrderState.transition(s, 'REJECTED_HOLD', { actor, reason: `reject:${code}` });
+  if (!moved.ok) return { ok: false, message: `Can't reject — order is ${s.status}.` };
+  if (!moved.changed) return { ok: false, message: 'Already rejected (on hold).' };
+
+  s.rejectReason = { code, text: String(text || '').slice(0, 300), by: actor, at: new Date().toISOString() };
+  const reasonLine = t('staff.reject_reason_line', { REASON: rejectReasonLabel(s.rejectReason) });
+
+  // Update the receipt caption so staff sees it's on hold
+  await editReviewPost(review, `❌ Rejected (on hold ${HOLD_SECONDS}s) — ${s.ref}\n${reasonLine}`)
+    .then(() => review && releaseKb(review.chatId, review.messageId)).catch(()=>{});
+
+  // Send hold message with Undo button (same undo:<ref>)
+  const holdMsg = await bot.telegram.sendMessage(
+    STAFF_GROUP_ID,
+    `❌ Rejection on hold for ${HOLD_SECONDS}s — ${s.ref}\n${reasonLine}\nTap Undo if this was a mistake.`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback(get(MSG,'buttons.undo_hold') || `Undo (${HOLD_SECONDS}s)`, `undo:${s.ref}`)]
+    ])
+  );
+  trackKb(holdMsg, 'undo_hold', HOLD_SECONDS + 30);
+  s.holdMsgId = holdMsg.message_id;
+
+  // Finalize rejection after hold time if not undone
+  armRejectTimer(s);
+  return { ok: true };
+}
+
+function armRejectTimer(s, delayMs = HOLD_SECONDS * 1000) {
+  const ref = s.ref;
+  if (s.rejectTimer) clearTimeout(s.rejectTimer);
+  s.rejectDueAt = Date.now() + delayMs;
+  s.rejectTimer = setTimeout(() => finalizeRejection(ref).catch(()=>{}), delayMs);
+  Session.schedulePersist();
+}
+function clearHoldTimers(s) {
+  if (s.approvalTimer) { clearTimeout(s.approvalTimer); s.approvalTimer = null; }
+  if (s.rejectTimer)   { clearTimeout(s.rejectTimer);   s.rejectTimer   = null; }
+  s.approvalDueAt = null;
+  s.rejectDueAt = null;
+}
+
+async function finalizeRejection(ref) {
+  const fresh = Session.getSessionByRef(ref);
+  if (!fresh || fresh.status !== 'REJECTED_HOLD') return;
+
+  OrderState.transition(fresh, 'REJECTED', { actor: 'system', reason: 'reject_hold_elapsed' });
+  fresh.rejectTimer = null;
+  fresh.rejectDueAt = null;
+
+  const reason = fresh.rejectReason || null;
+  const canonRef = ensureCanonRef(fresh);
+  await store.savePaymentStatus(canonRef, 'rejected').catch(e => console.warn('savePaymentStatus error:', e.message));
+  if (reason) {
+    await store.saveRejection(canonRef, { code: reason.code, reason: rejectReasonLabel(reason), by: reason.by })
+      .catch(e => console.warn('saveRejection error:', e.message));
+  }
+
+  // customer (reason-specific, with a way to send a new receipt) + staff final notice
+  if (fresh._customerId) {
+    const vars = { REF: fresh.ref, SUPPORT_PHONE, AMOUNT: fresh.expectedTotal ?? '—', REASON: reason?.text || '' };
+    const key = reason ? `customer.payment_rejected_${reason.code === 'other' ? 'custom' : reason.code}` : 'customer.payment_rejected';
+    const text = get(MSG, key) ? t(key, vars) : t('customer.payment_rejected', vars);
+    await bot.telegram.sendMessage(
+      fresh._customerId,
+      text,
+      Markup.inlineKeyboard([[Markup.button.callback(get(MSG,'buttons.resubmit_receipt') || '📤 Send a new receipt', `resubmit:${fresh.ref}`)]])
+    ).catch(()=>{});
+  }
+
+  await bot.telegram.sendMessage(
+    STAFF_GROUP_ID,
+    `${t('staff.rejected_notice', { REF: fresh.ref })}${reason ? `\n${t('staff.reject_reason_line', { REASON: rejectReasonLabel(reason) })}` : ''}`
+  ).catch(()=>{});
+
+  // mark hold message as final
+  if (fresh.holdMsgId) {
+    releaseKb(STAFF_GROUP_ID, fresh.holdMsgId);
+    await bot.telegram.editMessageText(
+      STAFF_GROUP_ID,
+      fresh.holdMsgId,
+      undefined,
+      `❌ Rejected (final) — ${fresh.ref}`
+    ).catch(()=>{});
+  }
+  Session.schedulePersist();
+}
+
+// Boot: re-arm every timer a persisted session was waiting on
+function rearmSessionTimers() {
+  const left = (dueAt) => Math.max(0, Number(dueAt) - Date.now());
+  const fxByAction = {
+    accept: scheduleAcceptEffects,
+    picked: schedulePickedEffects,
+    delivered: scheduleDeliveredEffects,
+    giveup: scheduleGiveupEffects
+  };
+  let armed = 0;
+  for (const s of Session.allSessions()) {
+    if (!s?.ref) continue;
+    if (s.status === 'APPROVED_HOLD') {
+      armApprovalTimer(s, s.approvalDueAt ? left(s.approvalDueAt) : 0); armed++;
+    }
+    if (s.status === 'REJECTED_HOLD') {
+      armRejectTimer(s, s.rejectDueAt ? left(s.rejectDueAt) : 0); armed++;
+    }
+    if (s.status === 'DISPATCHING' && !s.assigned_driver_id && s.driverDueAt) {
+      setDriverTimer(s.ref, left(s.driverDueAt)); armed++;
+    }
+    for (const [k, dueAt] of Object.entries(s.pendingFx || {})) {
+      const [action, driverIdStr] = k.split(':');
+      const fn = fxByAction[action];
+      if (!fn) continue;
+      fn(s.ref, Number(driverIdStr), left(dueAt)); armed++;
+    }
+  }
+  if (armed) console.log(`Re-armed ${armed} session timer(s).`);
+}
+
 // ────────────────────────────────────────────────────────────────────────────────
 // Finalize approval after hold (this is your PAID moment)
-async function finalizeApproval(s) {
+async function finalizeApproval(s, actor = 'system') {
   try {
     if (!s || s.status !== 'APPROVED_HOLD') return;
-    s.status = 'DISPATCHING';
+    // High-value order still missing its second sign-off: stay on hold until approve2: completes it
+    if (!approvalComplete(s)) {
+      if (s.holdMsgId && !s.awaitingSecondApproval) {
+        await bot.telegram.editMessageText(STAFF_GROUP_ID, s.holdMsgId, undefined,
+          `${holdText(s)}\n${t('staff.hold_elapsed_needs_second')}`, holdKb(s)).catch(()=>{});
+      }
+      s.awaitingSecondApproval = true;
+      return;
+    }
+    s.awaitingSecondApproval = false;
+    OrderState.transition(s, 'DISPATCHING', { actor, reason: 'approval_final' });
 
     if (s.holdMsgId) {
+      releaseKb(STAFF_GROUP_ID, s.holdMsgId);
       await bot.telegram.editMessageText(STAFF_GROUP_ID, s.holdMsgId, undefined, t('staff.finalize_approved', { REF: s.ref })).catch(()=>{});
     }
 
@@ -932,7 +1667,7 @@ async function finalizeApproval(s) {
       phone: f.phone || '',
       area: f.area || '',
       map_url: f.map || '',
-      total_etb: f.total || '',
+      total_etb: reconcileFields(f, s).expected_total || '',
       delivery_fee: f.delivery || '',
       payment_method: s.method || '',
       status: 'APPROVED'
@@ -941,22 +1676,171 @@ async function finalizeApproval(s) {
     // Persist approved + intake
     try {
       const canonRef = ensureCanonRef(s);
-      const fields = mapFieldsFromSummary(f, s.summary);
+      const fields = mapFieldsFromSummary(f, s.summary, s);
       fields.order_id = canonRef;
       await store.saveOrderIntake(fields);
-      await store.savePaymentStatus(canonRef, 'approved');
+      await store.savePaymentStatus(canonRef, paymentStatusOf(s));
+      await savePaymentAmounts(s);
+      await store.saveApprovers(canonRef, s.approvers || []);
     } catch (e) {
       console.error('persist(approved) error', e);
       if (STAFF_GROUP_ID) bot.telegram.sendMessage(STAFF_GROUP_ID, `⚠️ Persist failed for ${s.ref} (approved)`).catch(()=>{});
     }
 
+    await sendTaxInvoice(s);
+
     await broadcastToDrivers(s);
     setDriverTimer(s.ref);
   } catch (err) {
     console.error('finalizeApproval error', err);
     if (STAFF_GROUP_ID) await bot.telegram.sendMessage(STAFF_GROUP_ID, `⚠️ Error while finalizing approval for ${s?.ref || 'ref'}.`);
   } finally {
-    if (s) s.approvalTimer = null;
+    if (s) { s.approvalTimer = null; s.approvalDueAt = null; }
+  }
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Payment reminders (features.reminders): nudge customers stuck before paying, then lapse the order
+async function nudgeStalledOrder(s, action) {
+  if (!customerFlow) return;
+  await customerFlow.sendPaymentNudge(s, action);
+  // a nudged order is live again: keep staff actions on it from expiring
+  s.createdAt = Date.now();
+  Session.schedulePersist();
+}
+async function lapseStalledOrder(s, action) {
+  // never lapse an order staff have money or a receipt for (re-review, resubmit, balance)
+  if (!PaymentReminders.STALL_STATES.has(s.status) || PaymentReminders.paymentInFlight(s)) return;
+  const step = s.status;
+  const moved = OrderState.transition(s, 'ABANDONED', { actor: 'system', reason: `no_payment:${step}` });
+  if (!moved.ok || !moved.changed) return;
+  const canonRef = ensureCanonRef(s);
+  await store.markAbandoned(canonRef, { step, nudges: action.sent })
+    .catch(e => console.warn('markAbandoned error:', e.message));
+  if (customerFlow) await customerFlow.sendLapsedNotice(s);
+
+  // Lapsed orders aren't live state; the next message starts fresh
+  const uid = s._customerId;
+  if (s.ref) Session.deleteRef(s.ref);
+  if (uid != null && Session.getSession(uid) === s) Session.deleteSession(uid);
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Customer cancellation (/cancel): allowed until the order is dispatched. Money already received opens a
+// refund task in the staff group; its "Refunded" button closes it (refunded:<uid>:<order_id>).
+const CLOSED_STATES = new Set(['DELIVERED', 'REJECTED', 'ABANDONED', 'CANCELLED', 'SUPERSEDED']);
+function canCustomerCancel(s) {
+  return !!s && OrderState.canTransition(s.status, 'CANCELLED') && s.status !== 'CANCELLED';
+}
+// Staff are checking a receipt (first review, or re-review after an undo): we don't know yet what
+// was paid, so cancelling goes through support
+function receiptUnderReview(s) {
+  if (s?.status === 'AWAITING_REVIEW') return true;
+  const last = Array.isArray(s?.history) ? s.history.at(-1) : null;
+  return s?.status === 'AWAITING_RECEIPT' && /^undo_/.test(String(last?.reason || ''));
+}
+// What we owe back: recorded payments, else the total of an approved order (nothing for cash on delivery)
+function refundDueOf(s) {
+  if (Number(s?.amountPaid) > 0) return Number(s.amountPaid);
+  if (s?.status !== 'APPROVED_HOLD') return 0;
+  const pm = Payments.byId(String(s.method || '').toLowerCase());
+  return pm && !pm.receiptRequired ? 0 : amountDue(s);
+}
+async function cancelOrder(s, { actor = 'customer' } = {}) {
+  const from = s.status;
+  const refund = refundDueOf(s);
+  const moved = OrderState.transition(s, 'CANCELLED', { actor, reason: `cancel:${from}` });
+  if (!moved.ok || !moved.changed) return { ok: false };
+  clearHoldTimers(s);
+  if (s.holdMsgId) {
+    releaseKb(STAFF_GROUP_ID, s.holdMsgId);
+    await bot.telegram.editMessageText(STAFF_GROUP_ID, s.holdMsgId, undefined, t('staff.cancelled_hold', { REF: s.ref })).catch(()=>{});
+  }
+
+  const canonRef = ensureCanonRef(s);
+  const pm = Payments.byId(String(s.method || '').toLowerCase());
+  const method = pm ? pm.label : (s.method || '—');
+  await store.saveCancellation(canonRef, { by: actor, from_status: from, refund_amount: refund, refund_method: refund ? method : '' })
+    .catch(e => console.warn('saveCancellation error:', e.message));
+
+  if (STAFF_GROUP_ID) {
+    const f = parseOrderFields(s.summary || '');
+    const vars = {
+      REF: s.ref, STATUS: from, AMOUNT: refund, METHOD: method,
+      CUSTOMER_NAME: f.customerName || '—', PHONE: f.phone ? formatPhone(f.phone) : '—'
+    };
+    if (refund) {
+      // not tracked by the button TTL: the task stays open until someone confirms the refund
+      await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.refund_task', vars),
+        Markup.inlineKeyboard([[Markup.button.callback(get(MSG,'buttons.refunded') || '✅ Refunded', `refunded:${s._customerId || 0}:${canonRef}`)]])
+      ).catch(()=>{});
+    } else {
+      await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.order_cancelled', vars)).catch(()=>{});
+    }
+  }
+
+  // Cancelled orders aren't live state; the next message starts fresh
+  const uid = s._customerId;
+  if (s.ref) Session.deleteRef(s.ref);
+  if (uid != null && Session.getSession(uid) === s) Session.deleteSession(uid);
+  return { ok: true, refund };
+}
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Tax invoice (features.invoice) for orders with a TIN, DM'd once payment is approved.
+// Also called by the customer flow when the TIN arrives after approval.
+const INVOICED_STATES = new Set(['DISPATCHING', 'ASSIGNED', 'OUT_FOR_DELIVERY', 'DELIVERED']);
+function invoiceLines(f, recon, ref) {
+  const items = Array.isArray(f.items) ? f.items : [];
+  const lines = items.map(it => {
+    const qty = Number(it.qty) || 1;
+    const unit = Catalog.unitPrice(it) || Number(it.unit_price) || (Number(it.line_total) || 0) / qty;
+    return { name: Catalog.displayName(it) || 'Coffee', qty, unit_price: unit };
+  });
+  if (lines.length && lines.every(l => l.unit_price > 0)) return { lines, discount: recon.discount || 0 };
+  // Items we can't price: one line for the goods so the totals still add up
+  const goods = (Number(recon.expected_total || f.total) || 0) - (Number(recon.delivery) || 0);
+  return { lines: [{ name: `Order ${ref}`, qty: 1, unit_price: goods }], discount: 0 };
+}
+async function sendTaxInvoice(s) {
+  if (!FEATURES.invoice.enabled || !s?.tin || !s._customerId || !INVOICED_STATES.has(s.status)) return;
+  // No tax invoice without our own name and TIN on it: tell staff instead
+  const seller = FEATURES.invoice.seller || {};
+  if (!String(seller.name || '').trim() || !String(seller.tin || '').trim()) {
+    if (STAFF_GROUP_ID) await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.invoice_seller_missing', { REF: s.ref, TIN: s.tin })).catch(()=>{});
+    return;
+  }
+  try {
+    const canonRef = ensureCanonRef(s);
+    if (Invoices.forOrder(canonRef)?.sent_at) return;
+    const f = parseOrderFields(s.summary || '');
+    const recon = reconcileFields(f, s);
+    const { lines, discount } = invoiceLines(f, recon, canonRef);
+    const { number } = await Invoices.issue(canonRef, { prefix: FEATURES.invoice.prefix, tin: s.tin });
+    const inv = Invoice.buildInvoice({
+      number,
+      ref: canonRef,
+      issuedAt: new Date().toISOString(),
+      seller,
+      buyer: { name: f.customerName || '', tin: s.tin, phone: f.phone ? formatPhone(f.phone) : '', address: f.address || '' },
+      lines,
+      discount,
+      delivery: recon.delivery || 0,
+      tax: { vatPct: FEATURES.invoice.vatPct, pricesIncludeVat: FEATURES.invoice.pricesIncludeVat },
+    });
+
+    await bot.telegram.sendDocument(
+      s._customerId,
+      { source: Buffer.from(Invoice.renderHtml(inv), 'utf8'), filename: `${number}.html` },
+      { caption: t('customer.invoice_caption', { REF: s.ref, NUMBER: number, TOTAL: inv.total, VAT: inv.vat }) }
+    );
+    await Invoices.recordTotals(canonRef, { total: inv.total, vat: inv.vat });
+    await store.saveInvoice(canonRef, { invoice_no: number, total: inv.total, vat: inv.vat })
+      .catch(e => console.warn('saveInvoice error:', e.message));
+    if (STAFF_GROUP_ID) await bot.telegram.sendMessage(STAFF_GROUP_ID, t('staff.invoice_sent', { REF: s.ref, NUMBER: number, TIN: s.tin })).catch(()=>{});
+  } catch (e) {
+    console.error('sendTaxInvoice error', e);
+    if (STAFF_GROUP_ID) bot.telegram.sendMessage(STAFF_GROUP_ID, `⚠️ Invoice failed for ${s.ref} — please check logs.`).catch(()=>{});
   }
 }
 
@@ -972,19 +1856,17 @@ async function broadcastToDrivers(s, excludeId = null) {
   const kb = (ref) => Markup.inlineKeyboard([[Markup.button.callback(btnAccept, `drv_accept:${ref}`), Markup.button.callback(btnDecline, `drv_decline:${ref}`)]]);
 
   const f = parseOrderFields(s.summary || '');
-  const mapLine = f.map && f.map !== '—' ? t('driver.broadcast_map_line_am', { MAP_URL: f.map }) : '';
-  let card = t('driver.broadcast_card_am', {
-    REF: s.ref, QTY: f.qty, AREA: f.area, TOTAL: f.total, DELIVERY_FEE: f.delivery, MAP_LINE: mapLine
-  });
+  let card = t('driver.broadcast_card_am', driverCardVars(s, f));
 
   if (f.customerName) card = `👤 ${f.customerName}\n` + card;
-  if (f.phone) card += `\n📞 ${f.phone}`;
+  card += itemsLine(f);
+  if (f.phone) card += `\n📞 ${formatPhone(f.phone)}`;
 
   const failed = [];
   const sent = [];
   for (const d of drivers.values()) {
     if (excludeId && d.id === excludeId) continue;
-    try { await bot.telegram.sendMessage(d.id, card, kb(s.ref)); sent.push(`${d.name} [${d.id}]`); }
+    try { trackKb(await bot.telegram.sendMessage(d.id, card, kb(s.ref)), 'drv_offer', driverOfferTtlSec()); sent.push(`${d.name} [${d.id}]`); }
     catch { failed.push(`${d.name || 'Driver'} [${d.id}]`); }
   }
   if (STAFF_GROUP_ID) {
@@ -1002,9 +1884,10 @@ async function broadcastToDrivers(s, excludeId = null) {
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Wire customer flow
+let customerFlow = null; // { startOrderSession, replyMaintenance, sendBalanceRequest, sendPaymentNudge, sendLapsedNotice }
 try {
   const wireCustomerFlow = require('./flows/customerBotFlow');
-  wireCustomerFlow(bot, {
+  customerFlow = wireCustomerFlow(bot, {
     FEATURES,
     SUPPORT_PHONE,
     SUPPORT_GROUP_ID,
@@ -1014,15 +1897,40 @@ try {
 
     BUTTON_TTL_SEC,
     ALLOW_NEW_ORDER,
+    Buttons,
+    Maintenance,
 
     isLikelyQuestion,
     isOrderSummaryStrict,
+    scoreOrderSummary,
     parseOrderFields,
     extractRef,
+    extractSignedOrder,
+    summaryForDisplay,
+    diffOrderFields,
+    reconcileFields,
+    balanceOf,
+    distanceFor,
+    zoneFor,
+    itemsLine,
+    Catalog,
+    Payments,
+    IntakeLog,
+    ReceiptIndex,
+    dHash,
+    renderPdfThumbnail,
+    parseSmsReceipt,
+    normalizeTin,
+    sendTaxInvoice,
+    captureIntake,
+    canApprove,
+    store,
+    ensureCanonRef,
 
     t, get,
 
     Session,
+    OrderState,
 
     afterCutoff,
 
@@ -1071,8 +1979,8 @@ function __setCors(req, res) {
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Vary', 'Origin');
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Intake-Secret');
 }
 function __json(res, status, obj) {
   try {
@@ -1142,6 +2050,15 @@ function __getBearer(req) {
   return m ? m[1] : '';
 }
 
+// Website → bot intake (shared secret)
+const INTAKE_SECRET = String(process.env.INTAKE_SECRET || '');
+function __intakeAuthorized(req) {
+  if (!INTAKE_SECRET) return false;
+  const got = Buffer.from(String(req.headers['x-intake-secret'] || ''));
+  const want = Buffer.from(INTAKE_SECRET);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
 async function __fetchLiveOrdersFromStore(limit) {
   try {
     if (store && typeof store.getLiveOrders === 'function') return await store.getLiveOrders({ limit });
@@ -1188,6 +2105,42 @@ const __server = http.createServer(async (req, res) => {
     return __json(res, 200, { ok:true, source, count: items.length, items });
   }
 
+  // ────────────────────────────────────────────────────────────────────────────
+  // WEBSITE INTAKE
+  // POST /api/orders/pending {summary, order_id?} | {order:{…}, sig}  (X-Intake-Secret)
+  // → { ok, token, expires_at, deep_link }  — customer opens deep_link, bot loads the order
+  // A structured order must carry sig = hex HMAC-SHA256 over its canonical JSON (see parser.js).
+  if (u.pathname === '/api/orders/pending' && req.method === 'POST') {
+    if (!INTAKE_SECRET) return __json(res, 501, { ok:false, error:'intake_not_configured' });
+    if (!__intakeAuthorized(req)) return __json(res, 401, { ok:false, error:'unauthorized' });
+    try {
+      const body = await __readBody(req);
+      const data = JSON.parse(body || '{}');
+      let summary = String(data.summary || '').trim();
+      if (data.order && typeof data.order === 'object') {
+        summary = JSON.stringify({ order: data.order, sig: String(data.sig || '') });
+        const signed = extractSignedOrder(summary);
+        if (!signed.ok) return __json(res, 422, { ok:false, error: signed.reason });
+      }
+      if (!isOrderSummaryStrict(summary, { strictMode: !!FEATURES.intake.strictMode, minTextLength: FEATURES.intake.minTextLength })) {
+        return __json(res, 422, { ok:false, error:'not_an_order_summary' });
+      }
+
+      const out = await deepLinks.createPendingOrder({
+        summary,
+        order_id: String(data.order_id || extractRef(summary) || parseOrderFields(summary).ref || ''),
+        ttlMs: Number(FEATURES.flows.deepLinkTtlMs) || 30*60*1000
+      });
+      if (!out) return __json(res, 400, { ok:false, error:'bad_request' });
+
+      const botUser = String(process.env.BOT_USERNAME || bot.botInfo?.username || '').replace(/^@/, '');
+      const deep_link = botUser ? `https://t.me/${botUser}?start=${out.token}` : null;
+      return __json(res, 200, { ok:true, token: out.token, expires_at: new Date(out.expires_at).toISOString(), deep_link });
+    } catch {
+      return __json(res, 400, { ok:false, error:'bad_request' });
+    }
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // ADMIN APIs
   // POST /api/admin/login {username,password}
@@ -1212,16 +2165,17 @@ const __server = http.createServer(async (req, res) => {
     }
   }
 
-  // GET /api/admin/orders?limit=200&status=approved
+  // GET /api/admin/orders?limit=200&status=approved&refund=pending
   if (u.pathname === '/api/admin/orders' && req.method === 'GET') {
     const auth = __verifyToken(__getBearer(req));
     if (!auth || auth.role !== 'admin') return __json(res, 401, { ok:false, error:'unauthorized' });
 
     const limit = Math.max(1, Math.min(1000, Number(u.searchParams.get('limit') || 200)));
-    const status = String(u.searchParams.get('status') || '').trim(); // approved/rejected/pending
+    const status = String(u.searchParams.get('status') || '').trim(); // approved/rejected/pending/refund_pending/refunded
+    const refund = String(u.searchParams.get('refund') || '').trim(); // pending/refunded/none
 
     try {
-      const items = await store.listOrders({ limit, payment_status: status });
+      const items = await store.listOrders({ limit, payment_status: status, refund_status: refund });
       return __json(res, 200, { ok:true, count: items.length, items });
     } catch (e) {
       return __json(res, 500, { ok:false, error:'store_failed' });
@@ -1229,7 +2183,8 @@ const __server = http.createServer(async (req, res) => {
   }
 
   // PATCH /api/admin/orders/:id
-  // Body: { payment_status?: 'approved'|'rejected'|'pending', driver_event?: 'accepted'|'picked'|'delivered', driver_name?: 'Tolosa' }
+  // Body: { payment_status?: 'approved'|'rejected'|'pending', driver_event?: 'accepted'|'picked'|'delivered', driver_name?: 'Tolosa',
+  //         refund_status?: 'refunded'|'pending' }
   if (u.pathname.startsWith('/api/admin/orders/') && req.method === 'PATCH') {
     const auth = __verifyToken(__getBearer(req));
     if (!auth || auth.role !== 'admin') return __json(res, 401, { ok:false, error:'unauthorized' });
@@ -1249,6 +2204,9 @@ const __server = http.createServer(async (req, res) => {
         const dn = data.driver_name ? String(data.driver_name) : '';
         await store.saveDriverEvent(orderId, kind, dn);
       }
+      if (data.refund_status) {
+        await store.saveRefund(orderId, { status: String(data.refund_status).toLowerCase(), by: 'admin:api' });
+      }
 
       return __json(res, 200, { ok:true });
     } catch (e) {
@@ -1256,6 +2214,32 @@ const __server = http.createServer(async (req, res) => {
     }
   }
 
+  // GET /api/admin/catalog
+  if (u.pathname === '/api/admin/catalog' && req.method === 'GET') {
+    const auth = __verifyToken(__getBearer(req));
+    if (!auth || auth.role !== 'admin') return __json(res, 401, { ok:false, error:'unauthorized' });
+    const items = Catalog.list();
+    return __json(res, 200, { ok:true, count: items.length, items });
+  }
+  // POST /api/admin/catalog {roast,type,size_g,price,active?,name?}  (upsert)
+  // DELETE /api/admin/catalog {roast,type,size_g}
+  if (u.pathname === '/api/admin/catalog' && (req.method === 'POST' || req.method === 'DELETE')) {
+    const auth = __verifyToken(__getBearer(req));
+    if (!auth || auth.role !== 'admin') return __json(res, 401, { ok:false, error:'unauthorized' });
+    try {
+      const body = await __readBody(req);
+      const data = JSON.parse(body || '{}');
+      if (req.method === 'DELETE') {
+        return Catalog.remove(data) ? __json(res, 200, { ok:true }) : __json(res, 404, { ok:false, error:'not_found' });
+      }
+      const row = Catalog.upsert({ ...data, active: data.active ?? true });
+      if (!row) return __json(res, 400, { ok:false, error:'invalid_product' });
+      return __json(res, 200, { ok:true, item: row });
+    } catch {
+      return __json(res, 400, { ok:false, error:'bad_request' });
+    }
+  }
+
   // GET /api/admin/leaderboard
   if (u.pathname === '/api/admin/leaderboard' && req.method === 'GET') {
     const auth = __verifyToken(__getBearer(req));
@@ -1316,38 +2300,59 @@ const __server = http.createServer(async (req, res) => {
 });
 
 __server.listen(__PORT, () => {
-  console.log(`WEB API listening on :${__PORT} | /health | /api/live-orders | /api/admin/* | /api/creator/*`);
+  console.log(`WEB API listening on :${__PORT} | /health | /api/live-orders | /api/orders/pending | /api/admin/* | /api/creator/*`);
 });
 
 // ────────────────────────────────────────────────────────────────────────────────
+rearmSessionTimers();
+PaymentReminders.startTicker({
+  sessions: () => Session.allSessions(),
+  config: () => FEATURES.reminders,
+  onNudge: nudgeStalledOrder,
+  onLapse: lapseStalledOrder
+});
+maintenanceTick = Maintenance.startTicker(async (uids) => {
+  for (const uid of uids) {
+    // eslint-disable-next-line no-await-in-loop
+    await bot.telegram.sendMessage(uid, get(MSG,'customer.maintenance_over') || 'We’re back online. Please send your order summary to continue.').catch(()=>{});
+  }
+});
+Buttons.start(bot.telegram, { labelFn: () => get(MSG,'errors.buttons_expired_mark') || '⏳ Expired' })
+  .catch(e => console.error('buttonTtl start error:', e.message));
 bot.launch().then(() => console.log('Polling started…'));
 
 process.once('SIGINT', () => {
   try { __server.close(); } catch {}
+  Session.persist();
   bot.stop('SIGINT');
 });
 process.once('SIGTERM', () => {
   try { __server.close(); } catch {}
+  Session.persist();
   bot.stop('SIGTERM');
 });
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Helpers: convert parsed summary → store fields
-function mapFieldsFromSummary(parsed, rawText) {
+function mapFieldsFromSummary(parsed, rawText, s = null) {
   const f = parsed || {};
 
   // email: prefer parser email; fallback scan
   const email = f.email || (rawText && (rawText.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i)?.[0] || '')) || '';
 
   // address: prefer labeled "Address:" extraction from parser; fallback "area"
-  const addrMatch = rawText && rawText.match(/Address:\s*([^\n]+)/i);
+  const addrMatch = f.source !== 'signed' && rawText && rawText.match(/Address:\s*([^\n]+)/i);
   const address = addrMatch ? addrMatch[1].trim() : (f.address || f.area || '');
 
   const map_url = f.map || '';
 
-  const totalNum = Number(f.total || 0) || 0;
-  const delNum   = Number(f.delivery || 0) || 0;
-  const coffeeSubtotal = Math.max(0, totalNum - delNum);
+  // Persist the recomputed amounts; the pasted total is kept as stated_total
+  const recon = reconcileFields(f, s);
+  const point = orderPoint(f, s);
+  const zone = zoneFor(f, s);
+  const totalNum = recon.expected_total;
+  const delNum   = recon.delivery;
+  const coffeeSubtotal = recon.checked ? Math.max(0, recon.items_subtotal - recon.discount) : Math.max(0, totalNum - delNum);
 
   return {
     customer_name:  f.customerName || null,
@@ -1361,14 +2366,22 @@ function mapFieldsFromSummary(parsed, rawText) {
 
     delivery_price: delNum,
     total:          totalNum,
+    stated_total:   recon.stated_total,
+    total_mismatch: hasTotalMismatch(recon),
     coffee_subtotal: coffeeSubtotal,
 
     delivery_location: address || null,
     map_url:        map_url || null,
+    lat:            point ? Number(point.lat) : null,
+    lng:            point ? Number(point.lng) : null,
+    location_source: point ? (point === s?.location ? 'telegram' : 'map_link') : null,
+    distance_km:    recon.distance_km || null,
+    stated_distance_km: recon.stated_distance_km || null,
+    delivery_zone:  zone && zone.status === 'in' ? zone.name : null,
 
     promo_code:     f.promo_code || '',
     promo_pct:      Number(f.promo_pct || 0) || 0,
 
-    items: Array.isArray(f.items) ? f.items : []
+    items: (Array.isArray(f.items) ? f.items : []).map(it => ({ ...it, name: Catalog.displayName(it) }))
   };
 }
@@ -1,9 +1,19 @@
 // parser.js — tolerant order detection & field extraction (Green Gold)
-// API: isLikelyQuestion, isOrderSummaryStrict, parseOrderFields, extractRef
+// API: isLikelyQuestion, isOrderSummaryStrict, parseOrderFields, extractRef,
+//      extractSignedOrder, signOrder, renderOrderSummary, summaryForDisplay, diagnoseOrder,
+//      diffOrderFields, extractCoordinates
 'use strict';
 
+const crypto = require('crypto');
+const { normalizePhone, isValidPhone, formatPhone } = require('./core/phone');
+
 const STRICT_DEFAULTS = { strictMode: true, minTextLength: 40 };
 
+// Shared HMAC secret for structured (website-signed) orders; defaults to the intake secret
+function orderSecret(opts = {}) {
+  return String(opts.orderSecret || process.env.ORDER_HMAC_SECRET || process.env.INTAKE_SECRET || '');
+}
+
 // -------------------- basic heuristics --------------------
 function isLikelyQuestion(text) {
   if (!text) return false;
@@ -26,28 +36,48 @@ function extractRef(text) {
   return '';
 }
 
-function isOrderSummaryStrict(text, opts = {}) {
-  if (!text) return false;
-  const s = String(text);
+const ANCHORS = [
+  { name: 'ref',          re: /GG-\d{8}-\d{6}-[A-Z0-9_-]{3,}/i },
+  { name: 'ref_short',    re: /GG[_-][A-Z0-9][A-Z0-9_\-]*/i },
+  { name: 'total',        re: /Total:\s*ETB\s*[\d,]+/i },
+  { name: 'delivery_fee', re: /Delivery\s*Fee:\s*ETB\s*[\d,]+/i },
+  { name: 'roast',        re: /\s*Roast:/i },
+  { name: 'maps_url',     re: /https?:\/\/(?:www\.)?google\.com\/maps\//i },
+  { name: 'place_id',     re: /place_id:/i },
+  { name: 'address',      re: /\s*Address:/i },
+  { name: 'promo',        re: /\bPromo\s*:/i },
+];
+
+/**
+ * Strict-mode verdict with its reasons (used by isOrderSummaryStrict and diagnoseOrder).
+ * @returns {{accepted:boolean, signed:boolean, reason:null|'empty'|'too_short'|'low_score',
+ *   length:number, minTextLength:number, strictMode:boolean, score:number, threshold:number,
+ *   confidence:number, anchors:Array<{name:string, matched:boolean}>}}
+ */
+function scoreOrderSummary(text, opts = {}) {
+  const s = String(text || '');
   const strictMode = !!(opts.strictMode ?? STRICT_DEFAULTS.strictMode);
   const minLen = Number(opts.minTextLength ?? STRICT_DEFAULTS.minTextLength);
-  if (s.length < minLen) return false;
-
-  const anchors = [
-    /GG-\d{8}-\d{6}-[A-Z0-9_-]{3,}/i,
-    /GG[_-][A-Z0-9][A-Z0-9_\-]*/i,
-    /Total:\s*ETB\s*[\d,]+/i,
-    /Delivery\s*Fee:\s*ETB\s*[\d,]+/i,
-    /\s*Roast:/i,
-    /https?:\/\/(?:www\.)?google\.com\/maps\//i,
-    /place_id:/i,
-    /\s*Address:/i,
-    /\bPromo\s*:/i,
-  ];
+  const threshold = strictMode ? 3 : 2;
+  const anchors = ANCHORS.map(a => ({ name: a.name, matched: a.re.test(s) }));
+  const score = anchors.filter(a => a.matched).length;
+  const out = {
+    accepted: false, signed: false, reason: null,
+    length: s.length, minTextLength: minLen, strictMode,
+    score, threshold, confidence: Math.round((score / ANCHORS.length) * 100) / 100,
+    anchors,
+  };
+  if (!s) { out.reason = 'empty'; return out; }
+  if (extractSignedOrder(s, opts).ok) { out.accepted = true; out.signed = true; out.confidence = 1; return out; }
+  if (s.length < minLen) { out.reason = 'too_short'; return out; }
+  if (score < threshold) { out.reason = 'low_score'; return out; }
+  out.accepted = true;
+  return out;
+}
 
-  let score = 0;
-  for (const a of anchors) if (a.test(s)) score++;
-  return score >= (strictMode ? 3 : 2);
+function isOrderSummaryStrict(text, opts = {}) {
+  if (!text) return false;
+  return scoreOrderSummary(text, opts).accepted;
 }
 
 // -------------------- helpers --------------------
@@ -69,13 +99,14 @@ function splitLines(text) {
 function stripLeadingNonText(line) {
   return String(line || '').replace(/^[^\p{L}\p{N}+]+/u, '').trim();
 }
-function extractAfterEmojiOrLabel(lines, emoji, labelRegex) {
+// { value, method:'emoji'|'label', line } — the line is kept for /parse diagnostics
+function extractWithSource(lines, emoji, labelRegex) {
   const emo = (typeof emoji === 'string' && emoji.length > 0) ? emoji : null;
 
   if (emo) {
     for (const line of lines) {
       const idx = line.indexOf(emo);
-      if (idx >= 0) return line.slice(idx + emo.length).replace(/^[:\-–\s]+/, '').trim();
+      if (idx >= 0) return { value: line.slice(idx + emo.length).replace(/^[:\-–\s]+/, '').trim(), method: 'emoji', line };
     }
   }
 
@@ -85,12 +116,21 @@ function extractAfterEmojiOrLabel(lines, emoji, labelRegex) {
       const m = cleaned.match(labelRegex);
       if (m) {
         const i = (m.index ?? 0) + m[0].length;
-        return cleaned.slice(i).replace(/^[:\-–\s]+/, '').trim();
+        return { value: cleaned.slice(i).replace(/^[:\-–\s]+/, '').trim(), method: 'label', line };
       }
     }
   }
 
-  return '';
+  return { value: '', method: '', line: '' };
+}
+function extractAfterEmojiOrLabel(lines, emoji, labelRegex) {
+  return extractWithSource(lines, emoji, labelRegex).value;
+}
+
+// Line of raw text containing a match (diagnostics)
+function lineOf(raw, needle) {
+  if (!needle) return '';
+  return String(raw).split('\n').map(s => s.trim()).find(L => L.includes(needle)) || '';
 }
 
 function extractGoogleMapsUrl(text) {
@@ -101,6 +141,28 @@ function extractGoogleMapsUrl(text) {
   return '';
 }
 
+// lat/lng from the common Google Maps link shapes:
+//   …/@9.0054,38.7636,15z   …?q=9.0054,38.7636 (also query=/ll=)   …/data=…!3d9.0054!4d38.7636
+function validLatLng(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && !(lat === 0 && lng === 0);
+}
+function extractCoordinates(text) {
+  const s = String(text || '');
+  const shapes = [
+    /!3d(-?\d{1,2}\.\d+)!4d(-?\d{1,3}\.\d+)/,
+    /@(-?\d{1,2}\.\d+),\s*(-?\d{1,3}\.\d+)/,
+    /[?&](?:q|query|ll|destination)=(-?\d{1,2}\.\d+)(?:,|%2C)\s*(-?\d{1,3}\.\d+)/i,
+  ];
+  for (const re of shapes) {
+    const m = s.match(re);
+    if (!m) continue;
+    const lat = parseFloat(m[1]);
+    const lng = parseFloat(m[2]);
+    if (validLatLng(lat, lng)) return { lat, lng };
+  }
+  return null;
+}
+
 function guessArea(address, pickup) {
   const a = safeTrim(address);
   if (a) {
@@ -217,50 +279,37 @@ function normalizeName(s) {
   return x;
 }
 
+// Ethiopian (09…, +251…, 251…, bare 9…) or UAE (971…) — see core/phone.js
 function looksLikeRealPhone(s) {
-  const x = safeTrim(s);
-  if (!x) return false;
-  if (/[A-Za-z]/.test(x)) return false;
-
-  const digits = x.replace(/[^\d]/g, '');
-  if (digits.length < 9 || digits.length > 15) return false;
-
-  if (x.startsWith('+251')) return true;
-  if (digits.startsWith('251')) return true;
-  if (x.startsWith('09') || x.startsWith('07')) return true;
-  if (/^9\d{8,}$/.test(digits)) return true;
-
-  // UAE style like 971...
-  if (digits.startsWith('971') && digits.length >= 11) return true;
-
-  return false;
+  return isValidPhone(safeTrim(s));
 }
 
+// Name/phone finders return { value, method, line }
 function findBestName(lines) {
-  const byLabel = extractAfterEmojiOrLabel(lines, null, /^(?:Customer\s*Name|Customer|Name):/i);
-  const n1 = normalizeName(byLabel);
-  if (n1) return n1;
+  const byLabel = extractWithSource(lines, null, /^(?:Customer\s*Name|Customer|Name):/i);
+  const n1 = normalizeName(byLabel.value);
+  if (n1) return { ...byLabel, value: n1 };
 
-  const byEmoji = extractAfterEmojiOrLabel(lines, '👤', null);
-  const n2 = normalizeName(byEmoji);
-  if (n2) return n2;
+  const byEmoji = extractWithSource(lines, '👤', null);
+  const n2 = normalizeName(byEmoji.value);
+  if (n2) return { ...byEmoji, value: n2 };
 
   for (const line of lines) {
     const m = line.match(/it's\s*"([^"]+)"/i);
     if (m && m[1]) {
       const n3 = normalizeName(m[1]);
-      if (n3) return n3;
+      if (n3) return { value: n3, method: 'fallback', line };
     }
   }
-  return '';
+  return { value: '', method: '', line: '' };
 }
 
 function findBestPhone(lines, raw) {
-  const byEmoji = extractAfterEmojiOrLabel(lines, '📞', null);
-  if (looksLikeRealPhone(byEmoji)) return byEmoji;
+  const byEmoji = extractWithSource(lines, '📞', null);
+  if (looksLikeRealPhone(byEmoji.value)) return byEmoji;
 
-  const byLabel = extractAfterEmojiOrLabel(lines, null, /^(?:Phone|Tel|Mobile):/i);
-  if (looksLikeRealPhone(byLabel)) return byLabel;
+  const byLabel = extractWithSource(lines, null, /^(?:Phone|Tel|Mobile):/i);
+  if (looksLikeRealPhone(byLabel.value)) return byLabel;
 
   const matches = raw.match(/(\+?\d[\d\s().\-]{6,})/g) || [];
   const rawLines = raw.split('\n');
@@ -273,43 +322,240 @@ function findBestPhone(lines, raw) {
     if (/GG-\d{8}-\d{6}/i.test(hostLine)) continue;
     if (/Order\s*ID|Total|Delivery|Distance|ETB|Qty|Size|Roast|Type/i.test(hostLine)) continue;
 
-    return c;
+    return { value: c, method: 'fallback', line: hostLine.trim() };
   }
-  return '';
+  return { value: '', method: '', line: '' };
+}
+
+// -------------------- signed structured orders --------------------
+// Block format (anywhere in the message, or posted to /api/orders/pending):
+//   {"order":{...},"sig":"<hex HMAC-SHA256(secret, canonicalJson(order))>"}
+// canonicalJson = JSON with object keys sorted recursively, no whitespace.
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function signOrder(order, opts = {}) {
+  const secret = orderSecret(opts);
+  if (!secret) return '';
+  return crypto.createHmac('sha256', secret).update(canonicalJson(order)).digest('hex');
+}
+
+function verifyOrderSig(order, sig, opts = {}) {
+  const want = signOrder(order, opts);
+  if (!want || !sig) return false;
+  const A = Buffer.from(String(sig).trim().toLowerCase(), 'utf8');
+  const B = Buffer.from(want, 'utf8');
+  return A.length === B.length && crypto.timingSafeEqual(A, B);
+}
+
+// Balanced-brace scan from the first {"order": …} (string-aware)
+function findOrderBlock(text) {
+  const m = /\{\s*"order"\s*:/.exec(text);
+  if (!m) return null;
+  let depth = 0, inStr = false, esc = false;
+  for (let i = m.index; i < text.length; i++) {
+    const c = text[i];
+    if (inStr) {
+      if (esc) esc = false;
+      else if (c === '\\') esc = true;
+      else if (c === '"') inStr = false;
+      continue;
+    }
+    if (c === '"') inStr = true;
+    else if (c === '{') depth++;
+    else if (c === '}' && --depth === 0) return { start: m.index, end: i + 1, json: text.slice(m.index, i + 1) };
+  }
+  return null;
+}
+
+/**
+ * @returns {{ok:true, order:Object, sig:string, block:Object}|{ok:false, reason:'no_block'|'bad_json'|'no_secret'|'bad_signature'}}
+ */
+function extractSignedOrder(text, opts = {}) {
+  const block = findOrderBlock(String(text || ''));
+  if (!block) return { ok:false, reason:'no_block' };
+  let obj;
+  try { obj = JSON.parse(block.json); } catch { return { ok:false, reason:'bad_json' }; }
+  if (!obj || typeof obj.order !== 'object' || !obj.order) return { ok:false, reason:'bad_json' };
+  if (!orderSecret(opts)) return { ok:false, reason:'no_secret' };
+  if (!verifyOrderSig(obj.order, obj.sig, opts)) return { ok:false, reason:'bad_signature' };
+  return { ok:true, order: obj.order, sig: String(obj.sig), block };
+}
+
+function num(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : 0;
+  return toFloat(v);
+}
+
+function fieldsFromStructured(o) {
+  const customer = o.customer || {};
+  const totals = o.totals || {};
+  const promo = o.promo || {};
+
+  const items = (Array.isArray(o.items) ? o.items : []).map((it) => {
+    const qty = Math.max(0, parseInt(it.qty, 10) || 0);
+    const unit_price = Math.round(num(it.unit_price));
+    return {
+      roast: safeTrim(it.roast),
+      type: safeTrim(it.type),
+      size_g: Math.round(num(it.size_g)),
+      qty,
+      unit_price,
+      line_total: Math.round(num(it.line_total)) || unit_price * qty,
+    };
+  });
+  const qty = items.reduce((sum, it) => sum + (Number(it.qty) || 0), 0);
+  const primary = choosePrimaryItem(items);
+
+  const ref = safeTrim(o.ref || o.order_id);
+  const pickup = safeTrim(o.pickup);
+  const address = safeTrim(typeof o.address === 'object' && o.address ? o.address.text : o.address);
+  const { date_iso, date, time_hms, time_ordered } = deriveDateTimeFromRef(ref);
+
+  return {
+    ok: true,
+    source: 'signed',
+    ref,
+
+    total: Math.round(num(totals.total)),
+    delivery: Math.round(num(totals.delivery)),
+    distance_km: num(totals.distance_km),
+    pickup,
+
+    customerName: normalizeName(customer.name),
+    phone: normalizePhone(customer.phone) || safeTrim(customer.phone),
+    email: safeTrim(customer.email),
+    address,
+    map: safeTrim(o.map || o.map_url),
+    area: safeTrim(o.area) || guessArea(address, pickup),
+    ...structuredCoords(o),
+
+    items,
+    qty,
+
+    type: primary?.type || '',
+    roast: primary?.roast || '',
+    size: primary?.size_g ? `${primary.size_g}g` : '',
+
+    date_iso,
+    date,
+    time_hms,
+    time_ordered,
+
+    promo_code: normCode(promo.code),
+    promo_pct: Number(promo.pct || 0) || 0,
+  };
+}
+
+function structuredCoords(o) {
+  const loc = o.location || o;
+  const lat = Number(loc.lat), lng = Number(loc.lng);
+  if (loc.lat != null && loc.lng != null && validLatLng(lat, lng)) return { lat, lng };
+  const c = extractCoordinates(o.map || o.map_url);
+  return { lat: c ? c.lat : null, lng: c ? c.lng : null };
+}
+
+// Human-readable text for a structured order (staff/customer display)
+function renderOrderSummary(order) {
+  const f = fieldsFromStructured(order || {});
+  const lines = [];
+  if (f.ref) lines.push(`🧾 Order ID: ${f.ref}`);
+  for (const it of f.items) {
+    const name = [it.roast, it.type, it.size_g ? `${it.size_g}g` : ''].filter(Boolean).join(' ');
+    lines.push(`• ${name || 'Item'} — ETB ${it.unit_price} × ${it.qty} = ETB ${it.line_total}`);
+  }
+  if (f.promo_code) lines.push(`Promo: ${f.promo_code} (${f.promo_pct}% OFF)`);
+  if (f.distance_km) lines.push(`Distance: ${f.distance_km} km`);
+  lines.push(`Delivery Fee: ETB ${f.delivery}`);
+  lines.push(`Total: ETB ${f.total}`);
+  if (f.customerName) lines.push(`👤 ${f.customerName}`);
+  if (f.phone) lines.push(`📞 ${formatPhone(f.phone)}`);
+  if (f.email) lines.push(`📧 ${f.email}`);
+  if (f.address) lines.push(`Address: ${f.address}`);
+  if (f.map) lines.push(f.map);
+  return lines.join('\n');
+}
+
+// Display text for a message with a JSON order block. A verified block is rendered from the signed
+// data; anything else the message says follows under an "unverified" label, never in its place.
+// Unverified blocks fall back to the message text without the JSON.
+const UNVERIFIED_TEXT_LABEL = '⚠️ Other text in the message (not part of the signed order):';
+function summaryForDisplay(text, opts = {}) {
+  const raw = String(text || '');
+  const block = findOrderBlock(raw);
+  if (!block) return raw;
+  const rest = (raw.slice(0, block.start) + raw.slice(block.end)).trim();
+  const signed = extractSignedOrder(raw, opts);
+  if (signed.ok) {
+    const summary = renderOrderSummary(signed.order);
+    return rest ? `${summary}\n\n${UNVERIFIED_TEXT_LABEL}\n${rest}` : summary;
+  }
+  return rest.length >= 20 ? rest : raw;
 }
 
 // -------------------- main parser --------------------
 function parseOrderFields(text, opts = {}) {
+  // Signed structured payload wins over text scraping
+  const signed = extractSignedOrder(text, opts);
+  if (signed.ok) return fieldsFromStructured(signed.order);
+
   const minLen = Number(opts.minTextLength ?? STRICT_DEFAULTS.minTextLength);
   if (!text || text.length < minLen) return { ok:false, reason:'too_short' };
 
-  const raw = String(text);
+  return parseTextFields(String(text), null);
+}
+
+// trace (optional) receives { field: { value, method, line } } for diagnostics
+function parseTextFields(raw, trace) {
+  const note = (field, value, method, line) => {
+    if (trace && value !== '' && value != null && value !== 0) trace[field] = { value, method, line: line || '' };
+  };
   const lines = splitLines(raw);
 
   const ref = extractRef(raw);
+  note('ref', ref, 'fallback', lineOf(raw, ref));
 
   const totalM = raw.match(/Total:\s*ETB\s*([\d,]+)/i);
   const total = totalM ? cleanMoney(totalM[1]) : 0;
+  note('total', total, 'label', totalM && lineOf(raw, totalM[0]));
 
   const delM = raw.match(/Delivery\s*Fee:\s*ETB\s*([\d,]+)/i);
   const delivery = delM ? cleanMoney(delM[1]) : 0;
+  note('delivery', delivery, 'label', delM && lineOf(raw, delM[0]));
 
   const distM = raw.match(/Distance:\s*([\d.]+)\s*km/i);
   const distance_km = distM ? toFloat(distM[1]) : 0;
-
-  const pickup = extractAfterEmojiOrLabel(lines, null, /^(?:Pickup|Pick\s*up|Store|Hub):/i);
-
-  const customerName = findBestName(lines);
-  const phone = findBestPhone(lines, raw);
-
-  const emailByEmoji = extractAfterEmojiOrLabel(lines, '📧', null);
-  const emailMatch =
-    (emailByEmoji && emailByEmoji.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i)) ||
-    raw.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
+  note('distance_km', distance_km, 'label', distM && lineOf(raw, distM[0]));
+
+  const pickupX = extractWithSource(lines, null, /^(?:Pickup|Pick\s*up|Store|Hub):/i);
+  const pickup = pickupX.value;
+  note('pickup', pickup, pickupX.method, pickupX.line);
+
+  const nameX = findBestName(lines);
+  const customerName = nameX.value;
+  note('customerName', customerName, nameX.method, nameX.line);
+  const phoneX = findBestPhone(lines, raw);
+  const phone = phoneX.value;
+  note('phone', phone, phoneX.method, phoneX.line);
+
+  const emailX = extractWithSource(lines, '📧', null);
+  const emailByEmoji = emailX.value && emailX.value.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
+  const emailMatch = emailByEmoji || raw.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
   const email = emailMatch ? emailMatch[0] : '';
+  note('email', email, emailByEmoji ? 'emoji' : 'fallback', emailByEmoji ? emailX.line : lineOf(raw, email));
 
-  const address = extractAfterEmojiOrLabel(lines, null, /^(?:Address|Location):/i);
+  const addressX = extractWithSource(lines, null, /^(?:Address|Location):/i);
+  const address = addressX.value;
+  note('address', address, addressX.method, addressX.line);
   const map = extractGoogleMapsUrl(raw);
+  note('map', map, 'fallback', lineOf(raw, map));
+  const coords = extractCoordinates(map || raw);
+  if (coords) note('coords', `${coords.lat},${coords.lng}`, 'fallback', lineOf(raw, map));
 
   const items = extractItems(lines);
   const qty = items.reduce((sum, it) => sum + (Number(it.qty) || 0), 0);
@@ -323,9 +569,11 @@ function parseOrderFields(text, opts = {}) {
   const { date_iso, date, time_hms, time_ordered } = deriveDateTimeFromRef(ref);
 
   const promo = parsePromo(raw);
+  note('promo_code', promo.promo_code, 'label', (raw.match(/[^\n]*Promo[^\n]*/i) || [''])[0].trim());
 
   return {
     ok: true,
+    source: 'text',
     ref,
 
     total,
@@ -334,11 +582,13 @@ function parseOrderFields(text, opts = {}) {
     pickup,
 
     customerName: safeTrim(customerName),
-    phone: safeTrim(phone),
+    phone: normalizePhone(phone) || safeTrim(phone),
     email: safeTrim(email),
     address: safeTrim(address),
     map: safeTrim(map) || '',
     area,
+    lat: coords ? coords.lat : null,
+    lng: coords ? coords.lng : null,
 
     items,
     qty,
@@ -357,9 +607,78 @@ function parseOrderFields(text, opts = {}) {
   };
 }
 
+// -------------------- diagnostics --------------------
+/**
+ * Full report for /parse: strict verdict + anchors, signed-block status, fields with
+ * extraction method ('emoji' | 'label' | 'fallback' | 'signed') and source line, items.
+ */
+function diagnoseOrder(text, opts = {}) {
+  const raw = String(text || '');
+  const verdict = scoreOrderSummary(raw, opts);
+  const signed = extractSignedOrder(raw, opts);
+  const report = { ...verdict, source: signed.ok ? 'signed' : 'text', signedStatus: signed.ok ? 'ok' : signed.reason, fields: {}, items: [] };
+
+  if (signed.ok) {
+    const f = fieldsFromStructured(signed.order);
+    for (const k of ['ref','total','delivery','distance_km','pickup','customerName','phone','email','address','map','promo_code']) {
+      if (f[k]) report.fields[k] = { value: f[k], method: 'signed', line: '' };
+    }
+    report.items = f.items;
+    return report;
+  }
+  if (!raw) return report;
+
+  const trace = {};
+  const f = parseTextFields(raw, trace);
+  report.fields = trace;
+  report.items = f.items;
+  return report;
+}
+
+// -------------------- edits --------------------
+function itemsKey(items) {
+  return (Array.isArray(items) ? items : [])
+    .map(it => `${[it.roast, it.type, it.size_g ? `${it.size_g}g` : ''].filter(Boolean).join(' ')} ×${it.qty || 0}`)
+    .join(', ');
+}
+
+/**
+ * What changed between two parseOrderFields() results (customer edited the summary).
+ * @returns {Array<{field:string, from:string, to:string}>}
+ */
+function diffOrderFields(a = {}, b = {}) {
+  const pick = {
+    ref: f => f.ref,
+    customerName: f => f.customerName,
+    phone: f => f.phone,
+    email: f => f.email,
+    address: f => f.address,
+    map: f => f.map,
+    items: f => itemsKey(f.items),
+    promo: f => (f.promo_code ? `${f.promo_code} (${f.promo_pct || 0}%)` : ''),
+    delivery: f => (f.delivery ? `ETB ${f.delivery}` : ''),
+    total: f => (f.total ? `ETB ${f.total}` : ''),
+  };
+  const out = [];
+  for (const [field, fn] of Object.entries(pick)) {
+    const from = safeTrim(fn(a || {}));
+    const to = safeTrim(fn(b || {}));
+    if (from !== to) out.push({ field, from, to });
+  }
+  return out;
+}
+
 module.exports = {
   isLikelyQuestion,
   isOrderSummaryStrict,
+  scoreOrderSummary,
+  diagnoseOrder,
   parseOrderFields,
   extractRef,
+  extractSignedOrder,
+  signOrder,
+  renderOrderSummary,
+  summaryForDisplay,
+  diffOrderFields,
+  extractCoordinates,
 };
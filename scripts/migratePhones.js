@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// scripts/migratePhones.js — one-time rewrite of stored phone numbers to E.164 (core/phone.js)
+// Covers orders.json + orders_archive.json under GG_DATA_DIR and the repo's drivers.json.
+// Safe to re-run: values already in E.164 are untouched, unrecognised ones are listed, not changed.
+//
+//   npm run migrate:phones
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const store = require('../services/orderStore');
+const { normalizePhone } = require('../core/phone');
+
+const DRIVERS_FILE = path.join(__dirname, '..', 'drivers.json');
+
+function migrateDrivers() {
+  if (!fs.existsSync(DRIVERS_FILE)) return { checked: 0, changed: 0, unrecognised: [] };
+  const arr = JSON.parse(fs.readFileSync(DRIVERS_FILE, 'utf8'));
+  const result = { checked: 0, changed: 0, unrecognised: [] };
+  for (const d of Array.isArray(arr) ? arr : []) {
+    if (!d || !d.phone) continue;
+    result.checked++;
+    const e164 = normalizePhone(d.phone);
+    if (!e164) { result.unrecognised.push({ id: d.id, phone: d.phone }); continue; }
+    if (e164 === d.phone) continue;
+    d.phone = e164;
+    result.changed++;
+  }
+  if (result.changed) fs.writeFileSync(DRIVERS_FILE, JSON.stringify(arr, null, 2) + '\n');
+  return result;
+}
+
+function report(label, r) {
+  console.log(`${label}: ${r.changed}/${r.checked} rewritten`);
+  for (const u of r.unrecognised) console.log(`    unrecognised: ${JSON.stringify(u)}`);
+}
+
+async function main() {
+  report('orders', await store.migratePhones());
+  report('drivers.json', migrateDrivers());
+}
+
+main().catch((e) => {
+  console.error('phone migration failed:', e.message);
+  process.exitCode = 1;
+});
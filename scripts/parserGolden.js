@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// scripts/parserGolden.js — golden-file regression runner for parser.js
+// Each fixtures/parser/<name>.txt is an anonymised order message; <name>.expected.json is the
+// parseOrderFields() output it must keep producing.
+//
+//   npm run test:parser                 diff every fixture against its expected output
+//   npm run parser:bless [-- name ...]  (re)write expected output after an intentional change
+//
+// New website format? Drop the message into fixtures/parser/<name>.txt, bless it, review the JSON.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseOrderFields } = require('../parser');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'parser');
+// Fixed secret so signed-block fixtures verify regardless of the local environment
+const GOLDEN_SECRET = 'golden-fixture-secret';
+const PARSE_OPTS = { orderSecret: GOLDEN_SECRET, minTextLength: 40 };
+
+function expectedPath(name) { return path.join(FIXTURE_DIR, `${name}.expected.json`); }
+
+function listFixtures() {
+  return fs.readdirSync(FIXTURE_DIR)
+    .filter(f => f.endsWith('.txt'))
+    .map(f => f.slice(0, -4))
+    .sort();
+}
+
+function run(name) {
+  const text = fs.readFileSync(path.join(FIXTURE_DIR, `${name}.txt`), 'utf8');
+  // round-trip through JSON so the comparison sees exactly what is stored
+  return JSON.parse(JSON.stringify(parseOrderFields(text, PARSE_OPTS)));
+}
+
+// ["items[0].unit_price: expected 1200, got 4226", ...]
+function diff(expected, actual, at = '') {
+  if (Object.is(expected, actual)) return [];
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object';
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    return [`${at || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+  const out = [];
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const k of keys) {
+    const sub = Array.isArray(expected) ? `${at}[${k}]` : (at ? `${at}.${k}` : k);
+    out.push(...diff(expected[k], actual[k], sub));
+  }
+  return out;
+}
+
+function bless(names) {
+  for (const name of names) {
+    fs.writeFileSync(expectedPath(name), JSON.stringify(run(name), null, 2) + '\n');
+    console.log(`blessed ${name}`);
+  }
+}
+
+function check(names) {
+  let failed = 0;
+  for (const name of names) {
+    if (!fs.existsSync(expectedPath(name))) {
+      failed++;
+      console.log(`✗ ${name} — no expected output (run parser:bless -- ${name})`);
+      continue;
+    }
+    const expected = JSON.parse(fs.readFileSync(expectedPath(name), 'utf8'));
+    const lines = diff(expected, run(name));
+    if (!lines.length) { console.log(`✓ ${name}`); continue; }
+    failed++;
+    console.log(`✗ ${name}`);
+    for (const l of lines) console.log(`    ${l}`);
+  }
+  console.log(`\n${names.length - failed}/${names.length} fixtures match`);
+  return failed;
+}
+
+function main(argv) {
+  const blessing = argv.includes('--bless');
+  const wanted = argv.filter(a => !a.startsWith('--'));
+  const all = listFixtures();
+  const unknown = wanted.filter(n => !all.includes(n));
+  if (unknown.length) {
+    console.error(`unknown fixture(s): ${unknown.join(', ')}`);
+    return 2;
+  }
+  const names = wanted.length ? wanted : all;
+  if (blessing) { bless(names); return 0; }
+  return check(names) ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,146 @@
+// services/catalog.js — product catalog (roast × type × size → unit price, active flag)
+// Stored under the data dir; edited with /catalog (owner) or /api/admin/catalog.
+// Parsed order items are checked against it; an empty catalog verifies nothing.
+
+'use strict';
+
+const path = require('path');
+const { readJsonSafeSync, writeJsonAtomicSync, ensureDirSync } = require('./persistDisk');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+const CATALOG_FILE = path.join(DATA_DIR, 'catalog.json');
+
+// "roast|type|size_g" -> { key, roast, type, size_g, price, active, name, updated_at }
+const products = new Map();
+
+function norm(s) { return String(s || '').trim().toLowerCase(); }
+function keyOf({ roast, type, size_g } = {}) {
+  return `${norm(roast)}|${norm(type)}|${Math.round(Number(size_g) || 0)}`;
+}
+function titleCase(s) { return String(s || '').trim().replace(/\b\w/g, c => c.toUpperCase()); }
+
+(function load() {
+  const doc = readJsonSafeSync(CATALOG_FILE, { products: [] });
+  for (const p of (Array.isArray(doc.products) ? doc.products : [])) {
+    if (p && p.roast && p.type && p.size_g) products.set(keyOf(p), { ...p, key: keyOf(p) });
+  }
+})();
+
+function save() {
+  writeJsonAtomicSync(CATALOG_FILE, { products: [...products.values()] });
+}
+
+function list({ includeInactive = true } = {}) {
+  return [...products.values()]
+    .filter(p => includeInactive || p.active)
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(p => ({ ...p }));
+}
+
+function isEmpty() { return products.size === 0; }
+
+// Price as given: a number or numeric string. Missing/blank is not 0 — unitPrice() reads 0 as
+// "unknown", so a dropped price would quietly switch off the check for that product.
+function parsePrice(price) {
+  if (typeof price === 'string' ? !price.trim() : typeof price !== 'number') return null;
+  const p = Number(price);
+  return Number.isFinite(p) && p >= 0 ? Math.round(p) : null;
+}
+
+/**
+ * Add or update a product. price in ETB (required; 0 only when given explicitly);
+ * name defaults to "Roast Type 500g".
+ * @returns {Object|null} the stored product, or null on invalid input
+ */
+function upsert({ roast, type, size_g, price, active = true, name = '' } = {}) {
+  const size = Math.round(Number(size_g) || 0);
+  const p = parsePrice(price);
+  if (!norm(roast) || !norm(type) || !(size > 0) || p == null) return null;
+  const k = keyOf({ roast, type, size_g: size });
+  const prev = products.get(k);
+  const row = {
+    key: k,
+    roast: titleCase(roast),
+    type: titleCase(type),
+    size_g: size,
+    price: p,
+    active: !!active,
+    name: String(name || prev?.name || '').trim(),
+    updated_at: new Date().toISOString(),
+  };
+  products.set(k, row);
+  save();
+  return { ...row };
+}
+
+function setActive(item, on) {
+  const row = products.get(keyOf(item));
+  if (!row) return null;
+  row.active = !!on;
+  row.updated_at = new Date().toISOString();
+  save();
+  return { ...row };
+}
+
+function remove(item) {
+  const ok = products.delete(keyOf(item));
+  if (ok) save();
+  return ok;
+}
+
+function lookup(item) {
+  const row = products.get(keyOf(item));
+  return row ? { ...row } : null;
+}
+
+// Catalog name when known, else the raw parsed strings
+function displayName(item) {
+  const row = products.get(keyOf(item));
+  if (row) return row.name || `${row.roast} ${row.type} ${row.size_g}g`;
+  return [item?.roast, item?.type, item?.size_g ? `${item.size_g}g` : ''].filter(Boolean).join(' ');
+}
+
+// "Catalog Name × 2, Other × 1" for cards
+function describeItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .map(it => `${displayName(it) || 'Item'} × ${Number(it.qty) || 1}`)
+    .join(', ');
+}
+
+// Unit price to trust for an item (active catalog price), 0 when unknown
+function unitPrice(item) {
+  const row = products.get(keyOf(item));
+  return row && row.active ? row.price : 0;
+}
+
+/**
+ * Check parsed items (parser extractItems) against the catalog.
+ * @returns {Array<{code:'unknown'|'inactive'|'price', item:number, name:string, stated?:number, expected?:number}>}
+ */
+function verifyItems(items) {
+  if (isEmpty()) return [];
+  const issues = [];
+  (Array.isArray(items) ? items : []).forEach((it, i) => {
+    const row = products.get(keyOf(it));
+    const name = displayName(it);
+    if (!row) { issues.push({ code: 'unknown', item: i + 1, name }); return; }
+    if (!row.active) { issues.push({ code: 'inactive', item: i + 1, name }); return; }
+    const stated = Math.round(Number(it.unit_price) || 0);
+    if (stated && stated !== row.price) issues.push({ code: 'price', item: i + 1, name, stated, expected: row.price });
+  });
+  return issues;
+}
+
+module.exports = {
+  list,
+  isEmpty,
+  upsert,
+  setActive,
+  remove,
+  lookup,
+  displayName,
+  describeItems,
+  unitPrice,
+  verifyItems,
+};
@@ -0,0 +1,93 @@
+// services/deepLinks.js — short-lived /start tokens for website → bot order handoff
+// The website registers a pending order summary and receives a token; the customer opens
+// t.me/<bot>?start=<token> and the bot loads the order without copy-pasting.
+
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonSafeSync, writeJsonAtomicSync, withLock, ensureDirSync } = require('./persistDisk');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+
+const LINKS_FILE = path.join(DATA_DIR, 'deeplinks.json');
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const KEEP_SPENT_MS = 24 * 60 * 60 * 1000; // keep used/expired tokens a day for "already used" answers
+const MAX_SUMMARY = 16000; // signed JSON payloads must not be cut (signature would break)
+
+function loadDoc() {
+  return readJsonSafeSync(LINKS_FILE, { links: {} });
+}
+function saveDoc(doc) {
+  writeJsonAtomicSync(LINKS_FILE, doc);
+}
+
+// Telegram start payloads allow [A-Za-z0-9_-] up to 64 chars
+function newToken() {
+  return 'L' + crypto.randomBytes(12).toString('base64url');
+}
+
+function prune(doc, nowMs) {
+  for (const [tok, row] of Object.entries(doc.links || {})) {
+    const spentAt = row.used_at ? Date.parse(row.used_at) : Number(row.expires_at || 0);
+    if (spentAt && nowMs - spentAt > KEEP_SPENT_MS) delete doc.links[tok];
+  }
+}
+
+async function createPendingOrder({ summary, order_id = '', ttlMs = DEFAULT_TTL_MS } = {}) {
+  const text = String(summary || '').trim();
+  if (!text) return null;
+
+  const nowMs = Date.now();
+  const ttl = Number(ttlMs) > 0 ? Number(ttlMs) : DEFAULT_TTL_MS;
+  const row = {
+    summary: text.slice(0, MAX_SUMMARY),
+    order_id: String(order_id || '').trim() || null,
+    created_at: new Date(nowMs).toISOString(),
+    expires_at: nowMs + ttl,
+    used_at: null,
+    used_by: null,
+  };
+
+  let token = '';
+  await withLock(async () => {
+    const doc = loadDoc();
+    doc.links = doc.links || {};
+    prune(doc, nowMs);
+    do { token = newToken(); } while (doc.links[token]);
+    doc.links[token] = row;
+    saveDoc(doc);
+  });
+
+  return { token, expires_at: row.expires_at };
+}
+
+/**
+ * Single-use redeem.
+ * @returns {Promise<{ok:true, summary:string, order_id:string|null}|{ok:false, reason:'not_found'|'expired'|'used'}>}
+ */
+async function consumeToken(token, userId) {
+  const tok = String(token || '').trim();
+  if (!tok) return { ok: false, reason: 'not_found' };
+
+  let out = { ok: false, reason: 'not_found' };
+  await withLock(async () => {
+    const doc = loadDoc();
+    const row = doc?.links?.[tok];
+    if (!row) return;
+    if (row.used_at) { out = { ok: false, reason: 'used' }; return; }
+    if (Date.now() > Number(row.expires_at || 0)) { out = { ok: false, reason: 'expired' }; return; }
+
+    row.used_at = new Date().toISOString();
+    row.used_by = userId != null ? Number(userId) : null;
+    saveDoc(doc);
+    out = { ok: true, summary: row.summary, order_id: row.order_id || null };
+  });
+  return out;
+}
+
+module.exports = {
+  createPendingOrder,
+  consumeToken,
+};
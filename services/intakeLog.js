@@ -0,0 +1,56 @@
+// services/intakeLog.js — why customer texts were not accepted as orders
+// One entry per rejected intake (reason, length, anchor score) so intake.minTextLength and
+// intake.strictMode can be tuned from real traffic. Rolling window, newest last.
+// Diagnostics only: no customer text or ids are kept.
+
+'use strict';
+
+const path = require('path');
+const { readJsonSafeSync, writeJsonAtomicSync, withLock, ensureDirSync } = require('./persistDisk');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+
+const LOG_FILE = path.join(DATA_DIR, 'intake_rejects.json');
+const MAX_ENTRIES = 1000;
+
+/**
+ * @param {Object} verdict parser.scoreOrderSummary() result
+ * @param {{question?:boolean}} meta
+ */
+async function logRejection(verdict, { question = false } = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    reason: verdict.reason,
+    length: verdict.length,
+    min_text_length: verdict.minTextLength,
+    strict_mode: verdict.strictMode,
+    score: verdict.score,
+    threshold: verdict.threshold,
+    anchors: verdict.anchors.filter(a => a.matched).map(a => a.name),
+    question: !!question,
+  };
+
+  await withLock(async () => {
+    const doc = readJsonSafeSync(LOG_FILE, { entries: [] });
+    const entries = Array.isArray(doc.entries) ? doc.entries : [];
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+    writeJsonAtomicSync(LOG_FILE, { entries });
+  });
+}
+
+// Counts by reason / score for the last `limit` rejections
+function summary({ limit = MAX_ENTRIES } = {}) {
+  const doc = readJsonSafeSync(LOG_FILE, { entries: [] });
+  const entries = (Array.isArray(doc.entries) ? doc.entries : []).slice(-limit);
+  const byReason = {};
+  const byScore = {};
+  for (const e of entries) {
+    byReason[e.reason] = (byReason[e.reason] || 0) + 1;
+    byScore[e.score] = (byScore[e.score] || 0) + 1;
+  }
+  return { count: entries.length, byReason, byScore, recent: entries.slice(-5) };
+}
+
+module.exports = { logRejection, summary };
@@ -0,0 +1,64 @@
+// services/invoices.js — invoice numbers, one per order, never reused
+// Numbers are sequential per prefix ("GG-INV-000123"); asking again for the same order returns the
+// number it already has, so a re-approval after undo doesn't burn a new one.
+
+'use strict';
+
+const path = require('path');
+const { readJsonSafeSync, writeJsonAtomicSync, withLock, ensureDirSync } = require('./persistDisk');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+
+const INVOICES_FILE = path.join(DATA_DIR, 'invoices.json');
+
+// { seq: { [prefix]: lastNumber }, byOrder: { [order_id]: { number, order_id, tin, total, vat, at } } }
+function loadDoc() {
+  const doc = readJsonSafeSync(INVOICES_FILE, { seq: {}, byOrder: {} });
+  doc.seq = doc.seq || {};
+  doc.byOrder = doc.byOrder || {};
+  return doc;
+}
+
+function forOrder(order_id) {
+  const r = loadDoc().byOrder[String(order_id || '').trim()];
+  return r ? { ...r } : null;
+}
+
+/**
+ * Invoice number for an order (allocated on first call).
+ * @param {string} order_id
+ * @param {{prefix?:string, tin?:string}} opts
+ * @returns {Promise<{number:string, existing:boolean}>}
+ */
+async function issue(order_id, { prefix = 'INV', tin = '' } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) throw new Error('order_id required');
+
+  return withLock(async () => {
+    const doc = loadDoc();
+    const prev = doc.byOrder[id];
+    if (prev) return { number: prev.number, existing: true };
+
+    const p = String(prefix || 'INV');
+    const n = (Number(doc.seq[p]) || 0) + 1;
+    doc.seq[p] = n;
+    const number = `${p}-${String(n).padStart(6, '0')}`;
+    doc.byOrder[id] = { number, order_id: id, tin: String(tin || ''), total: null, vat: null, at: new Date().toISOString() };
+    writeJsonAtomicSync(INVOICES_FILE, doc);
+    return { number, existing: false };
+  });
+}
+
+// Amounts as sent to the customer
+async function recordTotals(order_id, { total = null, vat = null } = {}) {
+  const id = String(order_id || '').trim();
+  await withLock(async () => {
+    const doc = loadDoc();
+    if (!doc.byOrder[id]) return;
+    doc.byOrder[id] = { ...doc.byOrder[id], total, vat, sent_at: new Date().toISOString() };
+    writeJsonAtomicSync(INVOICES_FILE, doc);
+  });
+}
+
+module.exports = { issue, forOrder, recordTotals };
@@ -2,6 +2,12 @@
 // Single source of truth for:
 // - saveOrderIntake
 // - savePaymentStatus
+// - savePaymentAmounts
+// - saveApprovers
+// - saveRejection
+// - saveTin / saveInvoice
+// - markAbandoned / abandonedReport
+// - saveCancellation / saveRefund
 // - saveDriverEvent
 // - exportAllCSV
 // - clearAndExportAllCSV
@@ -16,6 +22,7 @@
 const path = require('path');
 const { readJsonSafeSync, writeJsonAtomicSync, withLock, ensureDirSync } = require('./persistDisk');
 const { hashPassword, verifyPassword } = require('./security');
+const { normalizePhone } = require('../core/phone');
 
 const TZ_FALLBACK = 'Africa/Addis_Ababa';
 
@@ -72,6 +79,62 @@ function normCode(code) {
   return String(code || '').trim().toUpperCase();
 }
 
+// Line items: one row per bag (roast × type × size). Orders saved before items were
+// stored fall back to their flat type/size/roast_level/qty as a single line.
+function normalizeItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .map((it) => {
+      const size_g = Math.round(num(it?.size_g, 0));
+      const qty = intOrNull(it?.qty) || 0;
+      const unit_price = Math.round(num(it?.unit_price, 0));
+      return {
+        roast: String(it?.roast || '').trim(),
+        type: String(it?.type || '').trim(),
+        size_g,
+        size: size_g ? `${size_g}g` : '',
+        qty,
+        unit_price,
+        line_total: Math.round(num(it?.line_total, 0)) || unit_price * qty,
+        name: String(it?.name || '').trim(),
+      };
+    })
+    .filter(it => it.roast || it.type || it.size_g || it.qty)
+    .map((it, i) => ({ line_no: i + 1, ...it }));
+}
+
+function orderItems(o) {
+  const items = normalizeItems(o?.items);
+  if (items.length) return items;
+  if (!o || !(o.size || o.type || o.roast_level || o.qty)) return [];
+  const size_g = Math.round(num(String(o.size || '').replace(/[^\d.]/g, ''), 0));
+  return [{
+    line_no: 1,
+    roast: String(o.roast_level || ''),
+    type: String(o.type || ''),
+    size_g,
+    size: String(o.size || ''),
+    qty: intOrNull(o.qty) || 0,
+    unit_price: 0,
+    line_total: num(o.coffee_subtotal, 0),
+    name: '',
+  }];
+}
+
+function itemsSummary(items) {
+  return items
+    .map(it => `${it.name || [it.roast, it.type, it.size].filter(Boolean).join(' ')} ×${it.qty}`)
+    .join('; ');
+}
+
+// Split an order's coffee_subtotal (after promo) across its lines by line_total
+function allocateRevenue(o, items) {
+  const sub = num(o.coffee_subtotal, 0);
+  const gross = items.reduce((sum, it) => sum + it.line_total, 0);
+  if (!items.length) return [];
+  if (!gross) return items.map((_, i) => (i === 0 ? sub : 0));
+  return items.map(it => sub * (it.line_total / gross));
+}
+
 function loadOrdersDoc() {
   return readJsonSafeSync(ORDERS_FILE, { orders: {} });
 }
@@ -105,6 +168,8 @@ async function saveOrderIntake(fields, ctx, opts = {}) {
   const incomingDelivery = num(fields.delivery_price, 0);
   const incomingSubtotal = num(fields.coffee_subtotal, Math.max(0, incomingTotal - incomingDelivery));
 
+  const items = normalizeItems(fields.items);
+
   const patch = {
     order_id,
 
@@ -113,7 +178,8 @@ async function saveOrderIntake(fields, ctx, opts = {}) {
 
     customer_name: toNull(fields.customer_name),
     email: toNull(fields.email),
-    phone: toNull(fields.phone),
+    // E.164 when recognisable (core/phone.js), else kept as pasted
+    phone: normalizePhone(fields.phone) || toNull(fields.phone),
 
     type: toNull(fields.type),
     size: toNull(fields.size),
@@ -124,16 +190,31 @@ async function saveOrderIntake(fields, ctx, opts = {}) {
     delivery_price: incomingDelivery,
     total: incomingTotal,
     coffee_subtotal: incomingSubtotal,
+    // Pasted total when it differs from the recomputed one (core/reconcile.js)
+    stated_total: num(fields.stated_total, incomingTotal),
+    total_mismatch: !!fields.total_mismatch,
 
     delivery_location: toNull(fields.delivery_location),
     map_url: toNull(fields.map_url),
 
+    // Coordinates (map link or shared Telegram location) and our distance from the hub.
+    // A re-save without them keeps what we already have.
+    ...(fields.lat != null && fields.lng != null ? {
+      lat: num(fields.lat, null),
+      lng: num(fields.lng, null),
+      location_source: toNull(fields.location_source),
+    } : {}),
+    ...(fields.distance_km != null ? { distance_km: num(fields.distance_km, null) } : {}),
+    ...(fields.stated_distance_km != null ? { stated_distance_km: num(fields.stated_distance_km, null) } : {}),
+    ...(fields.delivery_zone != null ? { delivery_zone: String(fields.delivery_zone) } : {}),
+
     // Creator program
     promo_code: toNull(fields.promo_code) || '',
     promo_pct: num(fields.promo_pct, 0) || 0,
 
-    // optional items array
-    items: Array.isArray(fields.items) ? fields.items : [],
+    // line items (see normalizeItems); qty is the sum over all lines
+    items_count: null,
+    items_summary: null,
 
     // metadata
     chat_id: ctx?.chat?.id ?? null,
@@ -151,6 +232,13 @@ async function saveOrderIntake(fields, ctx, opts = {}) {
     const created_at = existing?.created_at || nowIso();
     const payment_status = existing?.payment_status || 'pending';
 
+    // An intake without parsed items (e.g. a bare re-save) keeps the lines we already have
+    const lines = items.length ? items : orderItems(existing);
+    patch.items = lines;
+    patch.items_count = lines.length;
+    patch.items_summary = itemsSummary(lines) || null;
+    if (lines.length && !patch.qty) patch.qty = lines.reduce((sum, it) => sum + it.qty, 0);
+
     // Preserve driver/payment timestamps unless we explicitly set later
     doc.orders[order_id] = {
       ...existing,
@@ -163,8 +251,9 @@ async function saveOrderIntake(fields, ctx, opts = {}) {
   });
 }
 
-// payment_status: 'pending' | 'approved' | 'rejected'
+// payment_status: 'pending' | 'partial' | 'approved' | 'rejected' | 'refund_pending' | 'refunded'
 // In your bot, "approved" = PAID (this is what creator commission uses).
+// 'partial' = staff recorded less than the total (see savePaymentAmounts); never counts as paid.
 async function savePaymentStatus(order_id, status) {
   const id = String(order_id || '').trim();
   if (!id) return;
@@ -188,6 +277,343 @@ async function savePaymentStatus(order_id, status) {
   });
 }
 
+// Proof the customer submitted: 'photo' or 'sms' (pasted bank SMS with its transaction id)
+async function savePaymentProof(order_id, { source = 'photo', txn_id = '', amount = null } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      payment_proof: String(source || 'photo'),
+      payment_txn_id: toNull(txn_id),
+      proof_amount: amount != null ? num(amount, null) : null,
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Amounts staff recorded from receipts; credit_etb is any overpayment owed back to the customer
+async function savePaymentAmounts(order_id, { amount_paid = 0, amount_due = null, credit_etb = 0 } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      amount_paid: num(amount_paid, 0),
+      amount_due: amount_due != null ? num(amount_due, null) : (existing.amount_due ?? null),
+      credit_etb: num(credit_etb, 0),
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Who signed off the payment; second_approved_by is set for two-person (high-value) approvals
+async function saveApprovers(order_id, approvers = []) {
+  const id = String(order_id || '').trim();
+  const list = Array.isArray(approvers) ? approvers.filter(a => a && a.id != null) : [];
+  if (!id || !list.length) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      approved_by: String(list[0].id),
+      approved_by_name: toNull(list[0].name),
+      second_approved_by: list[1] ? String(list[1].id) : null,
+      second_approved_by_name: list[1] ? toNull(list[1].name) : null,
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Customer's TIN (validated 10 digits, core/tin.js)
+async function saveTin(order_id, tin) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      tin: toNull(tin),
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Tax invoice sent for the order (number from services/invoices.js)
+async function saveInvoice(order_id, { invoice_no = '', total = null, vat = null } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      invoice_no: toNull(invoice_no),
+      invoice_total: total != null ? num(total, null) : null,
+      invoice_vat: vat != null ? num(vat, null) : null,
+      invoiced_at: nowIso(),
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Order lapsed after the payment reminders ran out (core/paymentReminders.js)
+async function markAbandoned(order_id, { step = '', nudges = 0 } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      abandoned_at: nowIso(),
+      abandoned_step: toNull(step),
+      nudges_sent: num(nudges, 0),
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+/**
+ * Abandoned carts over the last `days`: how many, their value, at which step, and the most recent ones.
+ * rate = abandoned / orders created in the same window.
+ */
+async function abandonedReport({ days = 7, limit = 20 } = {}) {
+  const doc = loadOrdersDoc();
+  const since = new Date(Date.now() - Math.max(1, Number(days) || 7) * 24 * 3600 * 1000).toISOString();
+  const all = allOrdersArray(doc);
+  const created = all.filter(o => String(o.created_at || '') >= since).length;
+  const rows = all
+    .filter(o => o.abandoned_at && String(o.abandoned_at) >= since)
+    .sort((a, b) => String(b.abandoned_at).localeCompare(String(a.abandoned_at)));
+
+  const by_step = {};
+  for (const o of rows) {
+    const k = o.abandoned_step || 'UNKNOWN';
+    by_step[k] = (by_step[k] || 0) + 1;
+  }
+
+  return {
+    days: Math.max(1, Number(days) || 7),
+    count: rows.length,
+    created,
+    rate: created ? rows.length / created : 0,
+    value_etb: rows.reduce((n, o) => n + num(o.total, 0), 0),
+    by_step,
+    rows: rows.slice(0, Math.max(1, Number(limit) || 20)).map(o => ({
+      order_id: o.order_id,
+      customer_name: o.customer_name || '',
+      phone: o.phone || '',
+      total: num(o.total, 0),
+      step: o.abandoned_step || '',
+      nudges: num(o.nudges_sent, 0),
+      abandoned_at: o.abandoned_at,
+    })),
+  };
+}
+
+// Customer cancelled (/cancel). With money received, refund_status starts 'pending' and the payment
+// stops counting as paid until staff confirm the refund (saveRefund).
+async function saveCancellation(order_id, { by = '', from_status = '', refund_amount = 0, refund_method = '' } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+  const refund = num(refund_amount, 0);
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      cancelled_at: nowIso(),
+      cancelled_by: toNull(by),
+      cancelled_from: toNull(from_status),
+      refund_status: refund > 0 ? 'pending' : 'none',
+      refund_amount: refund,
+      refund_method: toNull(refund_method),
+      payment_status: refund > 0 ? 'refund_pending' : existing.payment_status,
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// status: 'refunded' (staff confirmed the money went back) or 'pending'
+async function saveRefund(order_id, { status = 'refunded', by = '' } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+  const st = String(status || '').trim().toLowerCase() === 'refunded' ? 'refunded' : 'pending';
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      refund_status: st,
+      refunded_at: st === 'refunded' ? (existing.refunded_at || nowIso()) : null,
+      refunded_by: st === 'refunded' ? toNull(by) : null,
+      payment_status: st === 'refunded' ? 'refunded' : 'refund_pending',
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Staff rejection reason: code from the reason buttons, reason = text the customer was sent
+async function saveRejection(order_id, { code = '', reason = '', by = '' } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      rejection_code: toNull(code),
+      rejection_reason: toNull(reason),
+      rejected_by: toNull(by),
+      rejected_at: nowIso(),
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// Customer shared a Telegram location for the order
+async function saveOrderLocation(order_id, { lat, lng, source = 'telegram', distance_km = null, delivery_zone = null } = {}) {
+  const id = String(order_id || '').trim();
+  if (!id || lat == null || lng == null) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      lat: num(lat, null),
+      lng: num(lng, null),
+      location_source: String(source || 'telegram'),
+      ...(distance_km != null ? { distance_km: num(distance_km, null) } : {}),
+      ...(delivery_zone != null ? { delivery_zone: String(delivery_zone) } : {}),
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
+// One-time rewrite of stored phones (live + archive) to E.164; unrecognised values are left alone
+async function migratePhones() {
+  const result = { checked: 0, changed: 0, unrecognised: [] };
+  await withLock(async () => {
+    for (const [load, save] of [[loadOrdersDoc, saveOrdersDoc], [loadArchiveDoc, saveArchiveDoc]]) {
+      const doc = load();
+      let dirty = false;
+      for (const o of Object.values(doc.orders || {})) {
+        if (!o || !o.phone) continue;
+        result.checked++;
+        const e164 = normalizePhone(o.phone);
+        if (!e164) { result.unrecognised.push({ order_id: o.order_id, phone: o.phone }); continue; }
+        if (e164 === o.phone) continue;
+        o.phone = e164;
+        result.changed++;
+        dirty = true;
+      }
+      if (dirty) save(doc);
+    }
+  });
+  return result;
+}
+
+// Order status machine history (core/orderState.js). Appends one transition and mirrors the latest status.
+const STATUS_HISTORY_MAX = 200;
+async function saveStatusTransition(order_id, entry) {
+  const id = String(order_id || '').trim();
+  if (!id || !entry || !entry.to) return;
+
+  await withLock(async () => {
+    const doc = loadOrdersDoc();
+    doc.orders = doc.orders || {};
+    const existing = doc.orders[id] || { order_id: id, created_at: nowIso() };
+
+    const history = Array.isArray(existing.status_history) ? existing.status_history.slice() : [];
+    history.push({
+      from: entry.from || null,
+      to: String(entry.to),
+      at: entry.at || nowIso(),
+      actor: String(entry.actor || 'system'),
+      reason: String(entry.reason || ''),
+      ...(entry.forced ? { forced: true } : {}),
+    });
+    if (history.length > STATUS_HISTORY_MAX) history.splice(0, history.length - STATUS_HISTORY_MAX);
+
+    doc.orders[id] = {
+      ...existing,
+      order_id: id,
+      order_status: String(entry.to),
+      status_history: history,
+      updated_at: nowIso(),
+    };
+
+    saveOrdersDoc(doc);
+  });
+}
+
 async function saveDriverEvent(order_id, kind, driverName) {
   const id = String(order_id || '').trim();
   if (!id) return;
@@ -225,14 +651,43 @@ const EXPORT_COLUMNS = [
   'size',
   'roast_level',
   'qty',
+  'items_count',
+  'items_summary',
   'coffee_subtotal',
   'delivery_price',
   'total',
+  'stated_total',
+  'total_mismatch',
   'promo_code',
   'promo_pct',
   'delivery_location',
   'map_url',
+  'lat',
+  'lng',
+  'distance_km',
+  'delivery_zone',
   'payment_status',
+  'amount_paid',
+  'amount_due',
+  'credit_etb',
+  'approved_by',
+  'second_approved_by',
+  'tin',
+  'invoice_no',
+  'invoice_vat',
+  'abandoned_at',
+  'abandoned_step',
+  'cancelled_at',
+  'cancelled_by',
+  'refund_status',
+  'refund_amount',
+  'refund_method',
+  'refunded_at',
+  'payment_proof',
+  'payment_txn_id',
+  'rejection_code',
+  'rejection_reason',
+  'order_status',
   'driver_name',
   'driver_accepted_time',
   'driver_picked_time',
@@ -271,6 +726,42 @@ async function exportAllCSV() {
   return rowsToCSV(normalized, EXPORT_COLUMNS);
 }
 
+// One row per line item
+const LINE_ITEM_COLUMNS = [
+  'order_id',
+  'line_no',
+  'date',
+  'time_ordered',
+  'name',
+  'roast',
+  'type',
+  'size_g',
+  'qty',
+  'unit_price',
+  'line_total',
+  'promo_code',
+  'promo_pct',
+  'payment_status',
+  'order_status',
+  'created_at',
+];
+
+async function exportLineItemsCSV() {
+  const doc = loadOrdersDoc();
+  const orders = allOrdersArray(doc)
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+
+  const rows = [];
+  for (const o of orders) {
+    for (const it of orderItems(o)) {
+      const out = {};
+      for (const c of LINE_ITEM_COLUMNS) out[c] = (it[c] ?? o[c] ?? '');
+      rows.push(out);
+    }
+  }
+  return rowsToCSV(rows, LINE_ITEM_COLUMNS);
+}
+
 async function clearAndExportAllCSV() {
   const csv = await exportAllCSV();
 
@@ -298,7 +789,7 @@ async function clearAndExportAllCSV() {
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Dashboards: orders list + live
-async function listOrders({ limit = 200, payment_status = '' } = {}) {
+async function listOrders({ limit = 200, payment_status = '', refund_status = '' } = {}) {
   const doc = loadOrdersDoc();
   let rows = allOrdersArray(doc);
 
@@ -306,6 +797,10 @@ async function listOrders({ limit = 200, payment_status = '' } = {}) {
     const st = String(payment_status).toLowerCase();
     rows = rows.filter((o) => String(o.payment_status || '').toLowerCase() === st);
   }
+  if (refund_status) {
+    const st = String(refund_status).toLowerCase();
+    rows = rows.filter((o) => String(o.refund_status || '').toLowerCase() === st);
+  }
 
   rows.sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
   return rows.slice(0, Math.max(1, Math.min(1000, Number(limit) || 200)));
@@ -370,7 +865,7 @@ async function getCreatorSummary(code) {
   const c = normCode(code);
   if (!c) return {
     ok: false, code: '', paid_orders: 0, revenue: 0, commission: 0,
-    breakdown_by_size: {}, items: []
+    breakdown_by_size: {}, breakdown_by_roast: {}, items: []
   };
 
   const doc = loadOrdersDoc();
@@ -382,25 +877,38 @@ async function getCreatorSummary(code) {
   );
 
   let revenue = 0;
-  const breakdown_by_size = {}; // size -> { orders, qty, revenue }
+  // size / roast -> { orders, qty, revenue }; every line item counts, orders are distinct per key
+  const breakdown_by_size = {};
+  const breakdown_by_roast = {};
   const items = [];
 
+  const addTo = (bucket, key, qty, rev, seen) => {
+    if (!bucket[key]) bucket[key] = { orders: 0, qty: 0, revenue: 0 };
+    if (!seen.has(key)) { bucket[key].orders += 1; seen.add(key); }
+    bucket[key].qty += qty;
+    bucket[key].revenue += rev;
+  };
+
   for (const o of paid) {
     const sub = num(o.coffee_subtotal, 0);
     revenue += sub;
 
-    const sizeKey = String(o.size || '—');
-    if (!breakdown_by_size[sizeKey]) breakdown_by_size[sizeKey] = { orders: 0, qty: 0, revenue: 0 };
-    breakdown_by_size[sizeKey].orders += 1;
-    breakdown_by_size[sizeKey].qty += (intOrNull(o.qty) || 0);
-    breakdown_by_size[sizeKey].revenue += sub;
+    const lines = orderItems(o);
+    const shares = allocateRevenue(o, lines);
+    const seenSize = new Set();
+    const seenRoast = new Set();
+    lines.forEach((it, i) => {
+      addTo(breakdown_by_size, it.size || '—', it.qty, shares[i], seenSize);
+      addTo(breakdown_by_roast, it.roast || '—', it.qty, shares[i], seenRoast);
+    });
 
     items.push({
       order_id: o.order_id,
       date: o.date || '',
       time_ordered: o.time_ordered || '',
-      size: o.size || '',
-      qty: o.qty || 0,
+      size: [...seenSize].join(', ') || o.size || '',
+      qty: lines.reduce((sum, it) => sum + it.qty, 0) || o.qty || 0,
+      line_items: lines.map(({ line_no, name, roast, type, size, qty, line_total }) => ({ line_no, name, roast, type, size, qty, line_total })),
       coffee_subtotal: sub,
       total: num(o.total, 0),
       delivery_price: num(o.delivery_price, 0),
@@ -410,6 +918,9 @@ async function getCreatorSummary(code) {
   items.sort((a, b) => String(b.order_id).localeCompare(String(a.order_id)));
 
   const commission = Math.round(revenue * 0.10);
+  for (const bucket of [breakdown_by_size, breakdown_by_roast]) {
+    for (const row of Object.values(bucket)) row.revenue = Math.round(row.revenue);
+  }
 
   return {
     ok: true,
@@ -418,6 +929,7 @@ async function getCreatorSummary(code) {
     revenue: Math.round(revenue),
     commission,
     breakdown_by_size,
+    breakdown_by_roast,
     items: items.slice(0, 300), // safety
   };
 }
@@ -458,8 +970,21 @@ module.exports = {
   // existing bot calls (keep names)
   saveOrderIntake,
   savePaymentStatus,
+  savePaymentProof,
+  savePaymentAmounts,
+  saveApprovers,
+  saveRejection,
+  saveTin,
+  saveInvoice,
+  markAbandoned,
+  saveCancellation,
+  saveRefund,
   saveDriverEvent,
+  saveStatusTransition,
+  saveOrderLocation,
+  migratePhones,
   exportAllCSV,
+  exportLineItemsCSV,
   clearAndExportAllCSV,
 
   // live/api compatibility
@@ -467,6 +992,7 @@ module.exports = {
   listLiveOrders,
   listRecentOrders,
   listOrders,
+  abandonedReport,
 
   // creator program
   createCreator,
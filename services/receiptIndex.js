@@ -0,0 +1,106 @@
+// services/receiptIndex.js — every receipt we've seen, keyed on Telegram's file_unique_id
+// file_unique_id is stable across re-uploads of the same file; the perceptual hash (core/imageHash.js)
+// also catches re-saved / re-cropped copies. Only the first sighting is kept, so a duplicate
+// always points at the original order and customer. Pasted SMS receipts are indexed by their
+// bank transaction id the same way.
+
+'use strict';
+
+const path = require('path');
+const { readJsonSafeSync, writeJsonAtomicSync, withLock, ensureDirSync } = require('./persistDisk');
+const { hammingDistance } = require('../core/imageHash');
+
+const DATA_DIR = String(process.env.GG_DATA_DIR || '/var/data');
+ensureDirSync(DATA_DIR);
+
+const INDEX_FILE = path.join(DATA_DIR, 'receipt_index.json');
+const MAX_ENTRIES = 20000;
+// dHash bits that may differ for two images to count as the same receipt
+const SIMILAR_MAX_BITS = 6;
+
+// file_unique_id -> { file_unique_id, phash, ref, uid, customer, at }
+const byUnique = new Map();
+// transaction id -> { txn_id, provider, amount, ref, uid, customer, at }
+const byTxn = new Map();
+
+(function load() {
+  const doc = readJsonSafeSync(INDEX_FILE, { receipts: [], txns: [] });
+  for (const r of (Array.isArray(doc.receipts) ? doc.receipts : [])) {
+    if (r && r.file_unique_id) byUnique.set(r.file_unique_id, r);
+  }
+  for (const r of (Array.isArray(doc.txns) ? doc.txns : [])) {
+    if (r && r.txn_id) byTxn.set(r.txn_id, r);
+  }
+})();
+
+function save() {
+  writeJsonAtomicSync(INDEX_FILE, { receipts: [...byUnique.values()], txns: [...byTxn.values()] });
+}
+function cap(map) {
+  if (map.size > MAX_ENTRIES) map.delete(map.keys().next().value);
+}
+
+/**
+ * Earlier sighting of this receipt, if any.
+ * @param {{fileUniqueId:string, phash?:string|null}} receipt
+ * @returns {{match:'exact'|'similar', distance:number, entry:Object}|null}
+ */
+function findOriginal({ fileUniqueId, phash = null }) {
+  const exact = fileUniqueId && byUnique.get(fileUniqueId);
+  if (exact) return { match: 'exact', distance: 0, entry: { ...exact } };
+  if (!phash) return null;
+
+  let best = null;
+  for (const r of byUnique.values()) {
+    if (!r.phash) continue;
+    const d = hammingDistance(phash, r.phash);
+    if (d <= SIMILAR_MAX_BITS && (!best || d < best.distance)) best = { match: 'similar', distance: d, entry: { ...r } };
+  }
+  return best;
+}
+
+/**
+ * Record a receipt's first sighting (no-op when already indexed).
+ * @param {{fileUniqueId:string, phash?:string|null, ref:string, uid:number, customer?:string}} receipt
+ */
+async function record({ fileUniqueId, phash = null, ref, uid, customer = '' }) {
+  if (!fileUniqueId || byUnique.has(fileUniqueId)) return;
+  byUnique.set(fileUniqueId, {
+    file_unique_id: fileUniqueId,
+    phash: phash || null,
+    ref: String(ref || ''),
+    uid: uid != null ? Number(uid) : null,
+    customer: String(customer || ''),
+    at: new Date().toISOString(),
+  });
+  cap(byUnique);
+  await withLock(async () => save());
+}
+
+// First order a bank transaction id was submitted for, or null
+function findTxn(txnId) {
+  const r = byTxn.get(String(txnId || '').toUpperCase());
+  return r ? { ...r } : null;
+}
+
+/**
+ * Record a transaction id's first use (no-op when already indexed).
+ * @param {{txnId:string, provider?:string, amount?:number, ref:string, uid:number, customer?:string}} txn
+ */
+async function recordTxn({ txnId, provider = '', amount = 0, ref, uid, customer = '' }) {
+  const id = String(txnId || '').toUpperCase();
+  if (!id || byTxn.has(id)) return;
+  byTxn.set(id, {
+    txn_id: id,
+    provider: String(provider || ''),
+    amount: Number(amount) || 0,
+    ref: String(ref || ''),
+    uid: uid != null ? Number(uid) : null,
+    customer: String(customer || ''),
+    at: new Date().toISOString(),
+  });
+  cap(byTxn);
+  await withLock(async () => save());
+}
+
+module.exports = { findOriginal, record, findTxn, recordTxn };